@@ -16,6 +16,12 @@ import prayerRoutes from '../routes/prayers.js';
 import budgetRoutes from '../routes/budget.js';
 import noteRoutes from '../routes/notes.js';
 import referenceRoutes from '../routes/references.js';
+import userRoutes from '../routes/users.js';
+import archiveRoutes from '../routes/archive.js';
+import insightRoutes from '../routes/insights.js';
+import dayRoutes from '../routes/days.js';
+import reviewRoutes from '../routes/reviews.js';
+import reportRoutes from '../routes/reports.js';
 
 assertProductionJwtConfig();
 
@@ -33,12 +39,14 @@ app.use(cors(corsOptions));
 // Handle OPTIONS requests explicitly before other middleware
 app.options('*', cors(corsOptions));
 
+// Import archives hold a whole account; parsed here before the default limit applies
+app.use('/api/import', express.json({ limit: '25mb' }));
 app.use(express.json({ limit: '2mb' }));
 app.use('/api', apiRateLimiter);
 
 // MongoDB connection - reuse connection if exists
 let cachedDb = null;
-let searchTextBackfillStarted = false;
+let startupJobsStarted = false;
 
 async function connectToDatabase() {
   if (cachedDb && mongoose.connection.readyState === 1) {
@@ -53,12 +61,24 @@ async function connectToDatabase() {
       }
     );
     cachedDb = db;
-    if (!searchTextBackfillStarted) {
-      searchTextBackfillStarted = true;
+    if (!startupJobsStarted) {
+      startupJobsStarted = true;
       if (process.env.RUN_NOTE_SEARCH_BACKFILL === 'true') {
         const { backfillNoteSearchText } = await import('../jobs/backfillNoteSearchText.js');
         backfillNoteSearchText().catch((e) => console.error('[notes] searchText backfill failed:', e));
       }
+      if (process.env.RUN_ACCOUNT_PURGE === 'true') {
+        const { purgeDeletedAccounts } = await import('../jobs/purgeDeletedAccounts.js');
+        purgeDeletedAccounts().catch((e) => console.error('[users] account purge failed:', e));
+      }
+      if (process.env.RUN_REVIEW_GENERATION === 'true') {
+        const { generateDueReviews } = await import('../jobs/generateReviews.js');
+        generateDueReviews().catch((e) => console.error('[reviews] review generation failed:', e));
+      }
+      if (process.env.RUN_TASK_ROLLOVER === 'true') {
+        const { rolloverDueTasks } = await import('../jobs/rolloverTasks.js');
+        rolloverDueTasks().catch((e) => console.error('[tasks] task rollover failed:', e));
+      }
     }
     return db;
   } catch (error) {
@@ -92,6 +112,12 @@ app.use('/api/prayers', prayerRoutes);
 app.use('/api/budget', budgetRoutes);
 app.use('/api/notes', noteRoutes);
 app.use('/api/references', referenceRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/insights', insightRoutes);
+app.use('/api/days', dayRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api', archiveRoutes);
 
 app.get('/api/health', (_, res) => res.json({ ok: true }));
 
@@ -110,6 +136,13 @@ app.get('/', (_, res) => {
       budget: '/api/budget',
       notes: '/api/notes',
       references: '/api/references',
+      users: '/api/users',
+      insights: '/api/insights',
+      days: '/api/days',
+      reviews: '/api/reviews',
+      reports: '/api/reports',
+      export: '/api/export',
+      import: '/api/import',
       health: '/api/health',
     },
   });
@@ -0,0 +1,37 @@
+import User from '../models/User.js';
+import Review from '../models/Review.js';
+import { today, userTimeZone } from '../utils/dates.js';
+import { REVIEW_PERIODS, buildReview, previousReviewRange } from '../utils/reviews.js';
+
+const REVIEW_SETTINGS = { week: 'weeklyReview', month: 'monthlyReview' };
+
+/**
+ * Stores the last complete week/month review for users who opted in (settings.weeklyReview,
+ * settings.monthlyReview) and do not have it yet. Safe to run as often as needed.
+ * @returns {Promise<number>} reviews generated
+ */
+export async function generateDueReviews(now = new Date()) {
+  const users = await User.find({
+    deletionScheduledFor: null,
+    $or: Object.values(REVIEW_SETTINGS).map((field) => ({ [`settings.${field}`]: true })),
+  }).lean();
+
+  let generated = 0;
+  for (const user of users) {
+    const day = today(userTimeZone(user), now);
+    for (const period of REVIEW_PERIODS) {
+      if (!user.settings?.[REVIEW_SETTINGS[period]]) continue;
+      const range = previousReviewRange(period, day, user.settings?.weekStart ?? 0);
+      if (await Review.exists({ userId: user._id, period, startDate: range.startDate })) continue;
+      const summary = await buildReview(user, period, range, now);
+      try {
+        await Review.create({ userId: user._id, period, ...range, summary, generatedAt: now });
+        generated += 1;
+      } catch (err) {
+        // Another instance generated it first
+        if (err.code !== 11000) throw err;
+      }
+    }
+  }
+  return generated;
+}
@@ -0,0 +1,73 @@
+import User from '../models/User.js';
+import Activity from '../models/Activity.js';
+import ActivityCategory from '../models/ActivityCategory.js';
+import ActivityTimer from '../models/ActivityTimer.js';
+import Project from '../models/Project.js';
+import Task from '../models/Task.js';
+import TaskCompletion from '../models/TaskCompletion.js';
+import Habit from '../models/Habit.js';
+import HabitEntry from '../models/HabitEntry.js';
+import PrayerEntry from '../models/PrayerEntry.js';
+import Streak from '../models/Streak.js';
+import BudgetCategory from '../models/BudgetCategory.js';
+import Transaction from '../models/Transaction.js';
+import Note from '../models/Note.js';
+import NoteCategory from '../models/NoteCategory.js';
+import Reference from '../models/Reference.js';
+import Review from '../models/Review.js';
+import YearReport from '../models/YearReport.js';
+import Session from '../models/Session.js';
+import UserToken from '../models/UserToken.js';
+import ApiToken from '../models/ApiToken.js';
+import AuthEvent from '../models/AuthEvent.js';
+
+/** Every collection holding per-user documents (keyed by `userId`). Keep in sync when adding models. */
+export const USER_DATA_MODELS = [
+  Activity,
+  ActivityCategory,
+  ActivityTimer,
+  Project,
+  Task,
+  TaskCompletion,
+  Habit,
+  HabitEntry,
+  PrayerEntry,
+  Streak,
+  BudgetCategory,
+  Transaction,
+  Note,
+  NoteCategory,
+  Reference,
+  Review,
+  YearReport,
+  Session,
+  UserToken,
+  ApiToken,
+  AuthEvent,
+];
+
+/**
+ * Removes every document owned by the user, then the user itself. The user goes last so an
+ * interrupted purge is picked up again by the next run.
+ * @returns {Promise<Record<string, number>>} deleted count per model
+ */
+export async function purgeUserData(userId) {
+  const deleted = {};
+  for (const Model of USER_DATA_MODELS) {
+    const { deletedCount } = await Model.deleteMany({ userId });
+    deleted[Model.modelName] = deletedCount;
+  }
+  await User.deleteOne({ _id: userId });
+  return deleted;
+}
+
+/** Purges accounts whose deletion grace period has ended. */
+export async function purgeDeletedAccounts(now = new Date()) {
+  const users = await User.find({ deletionScheduledFor: { $ne: null, $lte: now } }).select('_id').lean();
+  for (const { _id } of users) {
+    await purgeUserData(_id);
+    // eslint-disable-next-line no-console
+    console.log(`[users] Purged deleted account ${_id}`);
+  }
+  return users.length;
+}
@@ -0,0 +1,62 @@
+import User from '../models/User.js';
+import Task from '../models/Task.js';
+import { dayRangeFilter, today, userTimeZone } from '../utils/dates.js';
+import { rolledOverCopy, rolloverWindow } from '../utils/taskRollover.js';
+
+const ROLLING_MODES = ['move', 'copy'];
+
+/**
+ * Rolls a user's unfinished one-off daily tasks over to their current local day, once per
+ * day, as set in settings.taskRollover. Project and recurring tasks are left alone.
+ * @param {{ _id: unknown, settings?: object, lastTaskRolloverDate?: Date|null }} user
+ * @returns {Promise<number>} tasks moved or copied
+ */
+export async function rolloverTasksForUser(user, now = new Date()) {
+  const mode = user.settings?.taskRollover;
+  if (!ROLLING_MODES.includes(mode)) return 0;
+  const day = today(userTimeZone(user), now);
+  const window = rolloverWindow(user.lastTaskRolloverDate, day);
+  if (!window) return 0;
+
+  // Claim the day first so concurrent requests and job runs roll over only once
+  const claim = await User.updateOne(
+    { _id: user._id, $or: [{ lastTaskRolloverDate: null }, { lastTaskRolloverDate: { $lt: day } }] },
+    { lastTaskRolloverDate: day }
+  );
+  if (claim.modifiedCount === 0) return 0;
+
+  const filter = {
+    userId: user._id,
+    date: dayRangeFilter(window.from, window.to),
+    completed: false,
+    projectId: null,
+    recurrenceRule: null,
+  };
+  try {
+    if (mode === 'move') {
+      const result = await Task.updateMany(filter, { $set: { date: day }, $inc: { rolledOverCount: 1 } });
+      return result.modifiedCount;
+    }
+    const tasks = await Task.find(filter).lean();
+    if (tasks.length) await Task.insertMany(tasks.map((t) => rolledOverCopy(t, day)));
+    return tasks.length;
+  } catch (err) {
+    // Release the claim so the next request or job run retries the day
+    await User.updateOne({ _id: user._id, lastTaskRolloverDate: day }, { lastTaskRolloverDate: user.lastTaskRolloverDate ?? null });
+    throw err;
+  }
+}
+
+/**
+ * Runs the rollover for every user who turned it on and has reached a new local day.
+ * Safe to run as often as needed.
+ * @returns {Promise<number>} tasks moved or copied
+ */
+export async function rolloverDueTasks(now = new Date()) {
+  const users = await User.find({ deletionScheduledFor: null, 'settings.taskRollover': { $in: ROLLING_MODES } })
+    .select('settings lastTaskRolloverDate')
+    .lean();
+  let rolled = 0;
+  for (const user of users) rolled += await rolloverTasksForUser(user, now);
+  return rolled;
+}
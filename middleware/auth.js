@@ -1,7 +1,52 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
-import { getJwtSecret } from '../utils/jwtConfig.js';
+import Session from '../models/Session.js';
+import ApiToken from '../models/ApiToken.js';
+import { hashToken, isApiToken, verifyAccessToken } from '../utils/authTokens.js';
+import { accessForMethod, hasScope } from '../utils/scopes.js';
+import { isPendingDeletion } from '../utils/accountDeletion.js';
 
+// Avoid a write on every request; last-seen only needs minute precision
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+function isStale(lastSeen) {
+  return !lastSeen || Date.now() - new Date(lastSeen).getTime() > LAST_SEEN_RESOLUTION_MS;
+}
+
+async function authenticateApiToken(token, req) {
+  const now = new Date();
+  const apiToken = await ApiToken.findOne({
+    tokenHash: hashToken(token),
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  }).lean();
+  if (!apiToken) return null;
+  if (isStale(apiToken.lastUsedAt)) {
+    await ApiToken.updateOne({ _id: apiToken._id }, { lastUsedAt: now });
+  }
+  req.apiToken = apiToken;
+  req.authSession = null;
+  return apiToken.userId;
+}
+
+async function authenticateSession(token, req) {
+  const decoded = verifyAccessToken(token);
+  // Tokens without a session id predate revocable sessions and cannot be revoked
+  if (!decoded.sid) return null;
+  const session = await Session.findOne({
+    _id: decoded.sid,
+    userId: decoded.userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).lean();
+  if (!session) return null;
+  if (isStale(session.lastSeenAt)) {
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date(), ip: req.ip || '' });
+  }
+  req.authSession = session;
+  req.apiToken = null;
+  return session.userId;
+}
+
+/** Accepts a session access token (JWT) or a personal API token (`ltp_…`). */
 export async function protect(req, res, next) {
   const authHeader = req.headers.authorization;
   const token = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
@@ -11,12 +56,38 @@ export async function protect(req, res, next) {
   }
 
   try {
-    const decoded = jwt.verify(token, getJwtSecret());
-    const user = await User.findById(decoded.userId).select('-password');
+    const userId = isApiToken(token) ? await authenticateApiToken(token, req) : await authenticateSession(token, req);
+    if (!userId) return res.status(401).json({ message: 'Invalid, expired or revoked token' });
+    const user = await User.findById(userId).select('-password');
     if (!user) return res.status(401).json({ message: 'User not found' });
+    if (isPendingDeletion(user)) return res.status(401).json({ message: 'Account is scheduled for deletion' });
     req.user = user;
     next();
   } catch {
     return res.status(401).json({ message: 'Invalid or expired token' });
   }
 }
+
+/**
+ * Per-router scope check for personal API tokens (GET needs `<resource>:read`, anything
+ * else `<resource>:write`). Interactive sessions are not restricted. Use after `protect`.
+ * @param {string} resource
+ */
+export function requireScope(resource) {
+  return (req, res, next) => {
+    if (!req.apiToken) return next();
+    const access = accessForMethod(req.method);
+    if (!hasScope(req.apiToken.scopes, resource, access)) {
+      return res.status(403).json({ message: `API token lacks the ${resource}:${access} scope` });
+    }
+    next();
+  };
+}
+
+/** Rejects personal API tokens: account and security settings need a signed-in session. Use after `protect`. */
+export function requireSession(req, res, next) {
+  if (!req.authSession) {
+    return res.status(403).json({ message: 'This endpoint requires a signed-in session' });
+  }
+  next();
+}
@@ -0,0 +1,19 @@
+import { rolloverTasksForUser } from '../jobs/rolloverTasks.js';
+import { hasScope } from '../utils/scopes.js';
+
+/**
+ * Rolls unfinished tasks over on the user's first task request of a new local day, so
+ * today's list is complete without waiting for the hourly job. Runs after `protect`.
+ * API tokens without `tasks:write` never cause the write; the scheduled job covers them.
+ * A failed rollover is logged and the request continues.
+ */
+export async function rolloverOnNewDay(req, res, next) {
+  if (req.apiToken && !hasScope(req.apiToken.scopes, 'tasks', 'write')) return next();
+  try {
+    await rolloverTasksForUser(req.user);
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[tasks] task rollover failed:', err);
+  }
+  next();
+}
@@ -1,25 +1,22 @@
 import mongoose from 'mongoose';
 
-const ALLOWED_CATEGORIES = [
-  'work', 'learning', 'habit', 'sleep', 'breakfast', 'lunch', 'dinner',
-  'exercise', 'family', 'entertainment', 'reading', 'expenses', 'water',
-  'mood', 'income', 'meditation', 'social', 'notes',
-  'fajr', 'zuhr', 'asr', 'maghrib', 'isha',
-];
-
 const activitySchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
     date: { type: Date, required: true, index: true },
-    category: { type: String, required: true, enum: ALLOWED_CATEGORIES },
+    // ActivityCategory.key of one of the user's categories
+    category: { type: String, required: true, trim: true },
+    // Coerced to the category's valueType (number, boolean or string); see utils/activityValues.js
     value: { type: mongoose.Schema.Types.Mixed, required: true },
     unit: { type: String, trim: true, default: '' },
     notes: { type: String, trim: true, default: '' },
+    // Set on entries recorded by a timer (one entry per local day the timer ran)
+    startedAt: { type: Date, default: null },
+    endedAt: { type: Date, default: null },
   },
   { timestamps: true }
 );
 
 activitySchema.index({ userId: 1, date: 1, category: 1 });
 
-export { ALLOWED_CATEGORIES };
 export default mongoose.model('Activity', activitySchema);
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import { VALUE_TYPES } from '../utils/activityValues.js';
+import { TARGET_COMPARISONS, TARGET_PERIODS } from '../utils/targets.js';
+
+/** Categories every account starts with (the list activities were limited to before categories were per-user). */
+const DEFAULT_ACTIVITY_CATEGORIES = [
+  { key: 'work', name: 'Work', unit: 'hours', valueType: 'number', icon: '💼' },
+  { key: 'learning', name: 'Learning', unit: 'hours', valueType: 'number', icon: '📚' },
+  { key: 'habit', name: 'Habit', unit: '', valueType: 'number', icon: '✅' },
+  { key: 'sleep', name: 'Sleep', unit: 'hours', valueType: 'number', min: 0, max: 24, icon: '😴' },
+  { key: 'breakfast', name: 'Breakfast', unit: '', valueType: 'text', icon: '🍳' },
+  { key: 'lunch', name: 'Lunch', unit: '', valueType: 'text', icon: '🥗' },
+  { key: 'dinner', name: 'Dinner', unit: '', valueType: 'text', icon: '🍽️' },
+  { key: 'exercise', name: 'Exercise', unit: 'min', valueType: 'duration', icon: '🏃' },
+  { key: 'family', name: 'Family', unit: 'hours', valueType: 'number', icon: '👨‍👩‍👧' },
+  { key: 'entertainment', name: 'Entertainment', unit: 'hours', valueType: 'number', icon: '🎮' },
+  { key: 'reading', name: 'Reading', unit: 'min', valueType: 'duration', icon: '📖' },
+  { key: 'expenses', name: 'Expenses', unit: '', valueType: 'number', icon: '💸' },
+  { key: 'water', name: 'Water', unit: 'glasses', valueType: 'number', min: 0, icon: '💧' },
+  { key: 'mood', name: 'Mood', unit: '', valueType: 'scale', icon: '🙂' },
+  { key: 'income', name: 'Income', unit: '', valueType: 'number', icon: '💰' },
+  { key: 'meditation', name: 'Meditation', unit: 'min', valueType: 'duration', icon: '🧘' },
+  { key: 'social', name: 'Social', unit: 'hours', valueType: 'number', icon: '🗣️' },
+  { key: 'notes', name: 'Notes', unit: '', valueType: 'text', icon: '📝' },
+  { key: 'fajr', name: 'Fajr', unit: '', valueType: 'boolean', icon: '🌅' },
+  { key: 'zuhr', name: 'Zuhr', unit: '', valueType: 'boolean', icon: '☀️' },
+  { key: 'asr', name: 'Asr', unit: '', valueType: 'boolean', icon: '🌤️' },
+  { key: 'maghrib', name: 'Maghrib', unit: '', valueType: 'boolean', icon: '🌇' },
+  { key: 'isha', name: 'Isha', unit: '', valueType: 'boolean', icon: '🌙' },
+];
+
+// Goal for the sum of a day's or week's values, in the category's unit
+const targetSchema = new mongoose.Schema(
+  {
+    period: { type: String, enum: TARGET_PERIODS, required: true },
+    comparison: { type: String, enum: TARGET_COMPARISONS, required: true },
+    value: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const activityCategorySchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    // Stable identifier stored on activities (`Activity.category`); renaming keeps it
+    key: { type: String, required: true, trim: true, lowercase: true },
+    name: { type: String, required: true, trim: true },
+    unit: { type: String, trim: true, default: '' },
+    // Value schema; see utils/activityValues.js. min/max apply to number and duration (minutes)
+    valueType: { type: String, enum: VALUE_TYPES, default: 'number' },
+    min: { type: Number, default: null },
+    max: { type: Number, default: null },
+    options: [{ type: String, trim: true }], // enum only
+    targets: { type: [targetSchema], default: [] }, // at most one per period
+    icon: { type: String, trim: true, default: '' },
+    color: { type: String, trim: true, default: '#10b981' },
+    order: { type: Number, default: 0 },
+    archived: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+activityCategorySchema.index({ userId: 1, archived: 1, order: 1 });
+activityCategorySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+/**
+ * Seeds the default categories for accounts that have none yet (new users and users
+ * from before categories were per-user). Safe to call concurrently.
+ */
+activityCategorySchema.statics.ensureDefaults = async function (userId) {
+  if (await this.exists({ userId })) return;
+  const docs = DEFAULT_ACTIVITY_CATEGORIES.map((c, order) => ({ ...c, userId, order }));
+  try {
+    await this.insertMany(docs, { ordered: false });
+  } catch (err) {
+    // A parallel request seeded first
+    if (err.code !== 11000 && !err.writeErrors?.every((e) => (e.code ?? e.err?.code) === 11000)) throw err;
+  }
+};
+
+export { VALUE_TYPES, DEFAULT_ACTIVITY_CATEGORIES };
+export default mongoose.model('ActivityCategory', activityCategorySchema);
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// A running stopwatch; stopping it turns it into Activity entries and removes it
+const activityTimerSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    category: { type: String, required: true, trim: true }, // ActivityCategory.key
+    startedAt: { type: Date, required: true },
+    notes: { type: String, trim: true, default: '' },
+    // Set while a stop request records the timer, so a second stop cannot record it again
+    stoppedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// Only one running timer per category
+activityTimerSchema.index({ userId: 1, category: 1 }, { unique: true });
+
+export default mongoose.model('ActivityTimer', activityTimerSchema);
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+import { API_TOKEN_SCOPES } from '../utils/scopes.js';
+
+/** User-managed personal access tokens for scripts; only the SHA-256 hash is stored. */
+const apiTokenSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    name: { type: String, required: true, trim: true },
+    tokenHash: { type: String, required: true, unique: true },
+    // First characters of the token, so the user can tell tokens apart
+    prefix: { type: String, required: true },
+    scopes: { type: [{ type: String, enum: API_TOKEN_SCOPES }], default: [] },
+    expiresAt: { type: Date, default: null },
+    lastUsedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('ApiToken', apiTokenSchema);
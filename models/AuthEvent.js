@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const AUTH_EVENT_TYPES = [
+  'login_success',
+  'login_failure',
+  'login_locked',
+  'two_factor_failure',
+  'logout',
+  'token_refresh',
+  'token_reuse_detected',
+  'password_change',
+  'password_reset_requested',
+  'password_reset',
+  'email_change_requested',
+  'email_change',
+  'email_verified',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'recovery_codes_regenerated',
+  'session_revoked',
+  'api_token_created',
+  'api_token_revoked',
+  'account_deletion_requested',
+  'account_restored',
+];
+
+const authEventSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, required: true, enum: AUTH_EVENT_TYPES },
+    ip: { type: String, trim: true, default: '' },
+    userAgent: { type: String, trim: true, default: '' },
+    details: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+authEventSchema.index({ userId: 1, createdAt: -1 });
+// Audit history is kept for a year
+authEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+export { AUTH_EVENT_TYPES };
+export default mongoose.model('AuthEvent', authEventSchema);
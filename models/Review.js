@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+import { REVIEW_PERIODS } from '../utils/reviews.js';
+
+// A stored weekly/monthly review digest (see jobs/generateReviews.js for the summary shape)
+const reviewSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    period: { type: String, required: true, enum: REVIEW_PERIODS },
+    startDate: { type: Date, required: true }, // day values
+    endDate: { type: Date, required: true },
+    summary: { type: mongoose.Schema.Types.Mixed, required: true },
+    generatedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+// One review per user per period
+reviewSchema.index({ userId: 1, period: 1, startDate: -1 }, { unique: true });
+
+export default mongoose.model('Review', reviewSchema);
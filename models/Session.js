@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    refreshTokenHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    userAgent: { type: String, trim: true, default: '' },
+    device: { type: String, trim: true, default: '' }, // Human label derived from userAgent
+    ip: { type: String, trim: true, default: '' },
+    lastSeenAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let Mongo drop sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Revoke every live session of a user, optionally keeping one (the caller's own).
+ * @returns {Promise<number>} number of sessions revoked
+ */
+sessionSchema.statics.revokeAllForUser = async function (userId, { exceptSessionId } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await this.updateMany(filter, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
+
+export default mongoose.model('Session', sessionSchema);
@@ -1,17 +1,55 @@
 import mongoose from 'mongoose';
+import { parseRRule } from '../utils/recurrence.js';
+import { MAX_SUBTASKS, subtaskProgress } from '../utils/subtasks.js';
+
+// Checklist item (see utils/subtasks.js)
+const subtaskSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    completed: { type: Boolean, default: false },
+    completedAt: { type: Date, default: null },
+    order: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
 
 const taskSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
     title: { type: String, required: true, trim: true },
     completed: { type: Boolean, default: false },
+    // When a one-off task was last marked done (recurring tasks record TaskCompletion entries instead)
+    completedAt: { type: Date, default: null },
     date: { type: Date, index: true },
     projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', index: true },
     dueDate: { type: Date },
     order: { type: Number, default: 0 },
     priority: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
     notes: { type: String, trim: true, default: '' },
-    recurrenceRule: { type: String, enum: ['daily', 'weekly', 'weekdays'], default: null },
+    // RFC 5545 RRULE, e.g. "FREQ=MONTHLY;BYDAY=-1FR" (older tasks may hold daily/weekly/weekdays)
+    recurrenceRule: {
+      type: String,
+      default: null,
+      validate: { validator: (v) => v == null || !parseRRule(v).error, message: (props) => parseRRule(props.value).error },
+    },
+    recurrenceStart: { type: Date, default: null }, // DTSTART day value; older tasks start on their creation day
+    recurrenceExceptions: { type: [Date], default: [] }, // EXDATE day values
+    dueOffsetDays: { type: Number, min: 0, default: 0 }, // each occurrence is due this many days after it
+    rolledOverCount: { type: Number, default: 0 }, // times left unfinished and carried to the next day
+    subtasks: {
+      type: [subtaskSchema],
+      default: [],
+      validate: [
+        { validator: (v) => v.length <= MAX_SUBTASKS, message: `A task can have at most ${MAX_SUBTASKS} subtasks` },
+        // One checklist cannot track each occurrence separately
+        {
+          validator(v) {
+            return v.length === 0 || !this.recurrenceRule;
+          },
+          message: 'Recurring tasks cannot have subtasks',
+        },
+      ],
+    },
   },
   { timestamps: true }
 );
@@ -19,4 +57,14 @@ const taskSchema = new mongoose.Schema(
 taskSchema.index({ userId: 1, date: 1 });
 taskSchema.index({ userId: 1, projectId: 1 });
 
+taskSchema.pre('save', function (next) {
+  if (this.isModified('subtasks')) {
+    this.subtasks.sort((a, b) => a.order - b.order);
+    // Tasks with a checklist are done when every item is
+    if (this.subtasks.length && !this.recurrenceRule) this.completed = subtaskProgress(this.subtasks).allDone;
+  }
+  if (this.isModified('completed')) this.completedAt = this.completed ? this.completedAt || new Date() : null;
+  next();
+});
+
 export default mongoose.model('Task', taskSchema);
@@ -1,11 +1,47 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { hashToken } from '../utils/authTokens.js';
+import { normalizeRecoveryCode, verifyTotp } from '../utils/totp.js';
+import { TASK_ROLLOVER_MODES } from '../utils/taskRollover.js';
+
+/** Select string for the hidden fields `consumeSecondFactor` and `consumeTotp` need. */
+export const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodeHashes';
+
+const settingsSchema = new mongoose.Schema(
+  {
+    timezone: { type: String, default: 'UTC' }, // IANA zone; all day bucketing uses it
+    weekStart: { type: Number, min: 0, max: 6, default: 0 }, // 0 = Sunday
+    currency: { type: String, uppercase: true, trim: true, default: 'USD' }, // ISO 4217
+    locale: { type: String, trim: true, default: 'en-US' }, // BCP 47
+    // Opt-in scheduled review digests (jobs/generateReviews.js)
+    weeklyReview: { type: Boolean, default: false },
+    monthlyReview: { type: Boolean, default: false },
+    // Unfinished daily tasks: leave, move or copy to the next day (jobs/rolloverTasks.js)
+    taskRollover: { type: String, enum: TASK_ROLLOVER_MODES, default: 'off' },
+  },
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
     email: { type: String, required: true, unique: true, lowercase: true, trim: true },
     password: { type: String, required: true, minLength: 6, select: false },
+    emailVerified: { type: Boolean, default: false },
+    settings: { type: settingsSchema, default: () => ({}) },
+    failedLoginCount: { type: Number, default: 0, select: false },
+    lockedUntil: { type: Date, default: null, select: false },
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, default: null, select: false }, // base32 TOTP secret
+      pendingSecret: { type: String, default: null, select: false }, // set during enrollment, until confirmed
+      lastUsedStep: { type: Number, default: -1, select: false }, // blocks replay of an accepted code
+      recoveryCodeHashes: { type: [String], default: [], select: false },
+    },
+    // Set while a requested deletion is in its grace period; the purge job removes the account after it
+    deletionRequestedAt: { type: Date, default: null },
+    deletionScheduledFor: { type: Date, default: null, index: { sparse: true } },
+    lastTaskRolloverDate: { type: Date, default: null }, // day value tasks were last rolled over to
   },
   { timestamps: true }
 );
@@ -20,4 +56,45 @@ userSchema.methods.comparePassword = function (candidate) {
   return bcrypt.compare(candidate, this.password);
 };
 
+/**
+ * Accepts a TOTP code newer than the last one used and records its step. The write is
+ * conditional, so two requests with the same code cannot both succeed. Requires
+ * TWO_FACTOR_FIELDS to be selected.
+ * @returns {Promise<boolean>}
+ */
+userSchema.methods.consumeTotp = async function (code) {
+  const step = verifyTotp(this.twoFactor.secret, code, { afterStep: this.twoFactor.lastUsedStep ?? -1 });
+  if (step === null) return false;
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.lastUsedStep': { $lt: step } },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  if (modifiedCount === 0) return false;
+  // Already stored; a later save() must not write it again
+  this.twoFactor.lastUsedStep = step;
+  this.unmarkModified('twoFactor.lastUsedStep');
+  return true;
+};
+
+/**
+ * Accepts a TOTP code (see consumeTotp) or an unused recovery code, which is removed with
+ * a conditional $pull so it works only once. Requires TWO_FACTOR_FIELDS to be selected.
+ * @returns {Promise<'totp'|'recovery'|null>}
+ */
+userSchema.methods.consumeSecondFactor = async function (code) {
+  if (await this.consumeTotp(code)) return 'totp';
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) return null;
+  const hash = hashToken(normalized);
+  if (!this.twoFactor.recoveryCodeHashes.includes(hash)) return null;
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.recoveryCodeHashes': hash },
+    { $pull: { 'twoFactor.recoveryCodeHashes': hash } }
+  );
+  if (modifiedCount === 0) return null;
+  this.twoFactor.recoveryCodeHashes.pull(hash);
+  this.unmarkModified('twoFactor.recoveryCodeHashes');
+  return 'recovery';
+};
+
 export default mongoose.model('User', userSchema);
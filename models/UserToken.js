@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+/** Single-use emailed tokens; only the SHA-256 hash is stored. */
+const TOKEN_PURPOSES = ['password_reset', 'email_verification', 'email_change'];
+
+const userTokenSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    purpose: { type: String, required: true, enum: TOKEN_PURPOSES },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    // Address the token was issued for (verification) or will switch to (email change)
+    email: { type: String, lowercase: true, trim: true, default: null },
+  },
+  { timestamps: true }
+);
+
+userTokenSchema.index({ userId: 1, purpose: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Atomically mark a live token as used.
+ * @returns {Promise<object|null>} the token document, or null if unknown, expired or already used
+ */
+userTokenSchema.statics.consume = function (purpose, tokenHash) {
+  return this.findOneAndUpdate(
+    { purpose, tokenHash, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+export { TOKEN_PURPOSES };
+export default mongoose.model('UserToken', userTokenSchema);
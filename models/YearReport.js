@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// Cached result of GET /api/reports/year/:year
+const yearReportSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    year: { type: Number, required: true },
+    report: { type: mongoose.Schema.Types.Mixed, required: true },
+    computedAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+yearReportSchema.index({ userId: 1, year: 1 }, { unique: true });
+
+export default mongoose.model('YearReport', yearReportSchema);
@@ -1,31 +1,554 @@
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
-import { protect } from '../middleware/auth.js';
-import Activity, { ALLOWED_CATEGORIES } from '../models/Activity.js';
+import { protect, requireScope } from '../middleware/auth.js';
+import Activity from '../models/Activity.js';
+import ActivityCategory, { VALUE_TYPES } from '../models/ActivityCategory.js';
+import ActivityTimer from '../models/ActivityTimer.js';
+import { categoryKeyFromName, uniqueCategoryKey } from '../utils/activityCategories.js';
+import { normalizeActivityValue, supportsTimer, validateValueSchema } from '../utils/activityValues.js';
+import { evaluateTarget, validateTargets } from '../utils/targets.js';
+import { GRANULARITIES, buildCategoryStats, numericValue } from '../utils/activityStats.js';
+import {
+  addDays,
+  dayKey,
+  dayRangeFilter,
+  diffDays,
+  splitByLocalDay,
+  startOfWeek,
+  toRequestDay,
+  today,
+  userTimeZone,
+} from '../utils/dates.js';
+import { decodeCursor, encodeCursor, keysetFilter, keysetSort, parseSort } from '../utils/pagination.js';
+import { escapeRegexString } from '../utils/regex.js';
+import { sendServerError } from '../utils/apiResponse.js';
 
 const router = express.Router();
-router.use(protect);
+router.use(protect, requireScope('activities'));
 
+// Activities may only use the user's own, non-archived categories (null otherwise)
+async function findActiveCategory(userId, key) {
+  await ActivityCategory.ensureDefaults(userId);
+  return ActivityCategory.findOne({ userId, key, archived: false }).lean();
+}
+
+const valueSchemaValidators = [
+  body('min').optional({ values: 'null' }).isFloat().toFloat(),
+  body('max').optional({ values: 'null' }).isFloat().toFloat(),
+  body('options').optional().isArray({ max: 50 }).withMessage('options must be an array'),
+  body('options.*').optional().isString().trim(),
+  body('targets').optional().isArray({ max: 2 }).withMessage('targets must be an array'),
+  body('targets.*.value').optional().isFloat({ min: 0 }).toFloat(),
+];
+
+// ============ ACTIVITY CATEGORIES ============
+
+// GET /api/activities/categories - The user's categories (archived ones with includeArchived=true)
+router.get(
+  '/categories',
+  [query('includeArchived').optional().isBoolean()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      await ActivityCategory.ensureDefaults(req.user._id);
+      const filter = { userId: req.user._id };
+      if (req.query.includeArchived !== 'true') filter.archived = false;
+      const categories = await ActivityCategory.find(filter).sort({ order: 1, name: 1 }).lean();
+      res.json(categories);
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// POST /api/activities/categories - Create a category; its key is derived from the name
+router.post(
+  '/categories',
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('unit').optional().trim(),
+    body('valueType').optional().isIn(VALUE_TYPES).withMessage(`valueType must be one of ${VALUE_TYPES.join(', ')}`),
+    ...valueSchemaValidators,
+    body('icon').optional().trim(),
+    body('color').optional().trim(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { name, unit, valueType = 'number', min = null, max = null, options = [], targets = [], icon, color } = req.body;
+    const schemaErrors = [...validateValueSchema({ valueType, min, max, options }), ...validateTargets(targets, valueType)];
+    if (schemaErrors.length) return res.status(400).json({ errors: schemaErrors });
+
+    try {
+      const userId = req.user._id;
+      await ActivityCategory.ensureDefaults(userId);
+
+      const existing = await ActivityCategory.find({ userId }).select('key name order').lean();
+      if (existing.some((c) => c.name.toLowerCase() === name.toLowerCase())) {
+        return res.status(400).json({ message: `A category with the name "${name}" already exists` });
+      }
+
+      const category = await ActivityCategory.create({
+        userId,
+        key: uniqueCategoryKey(categoryKeyFromName(name), existing.map((c) => c.key)),
+        name,
+        unit: valueType === 'duration' ? 'min' : unit || '',
+        valueType,
+        min,
+        max,
+        options: valueType === 'enum' ? options : [],
+        targets,
+        icon: icon || '',
+        color: color || '#10b981',
+        order: existing.reduce((max, c) => Math.max(max, c.order + 1), 0),
+      });
+      res.status(201).json(category);
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(400).json({ message: 'A category with this key already exists' });
+      }
+      sendServerError(res, err);
+    }
+  }
+);
+
+// PUT /api/activities/categories/:id - Update; archived categories stay on past activities but accept no new ones
+router.put(
+  '/categories/:id',
+  [
+    param('id').isMongoId(),
+    body('name').optional().trim().notEmpty(),
+    body('unit').optional().trim(),
+    body('valueType').optional().isIn(VALUE_TYPES).withMessage(`valueType must be one of ${VALUE_TYPES.join(', ')}`),
+    ...valueSchemaValidators,
+    body('icon').optional().trim(),
+    body('color').optional().trim(),
+    body('order').optional().isInt({ min: 0 }),
+    body('archived').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const category = await ActivityCategory.findOne({ _id: req.params.id, userId: req.user._id });
+      if (!category) return res.status(404).json({ message: 'Category not found' });
+
+      for (const field of ['name', 'unit', 'valueType', 'min', 'max', 'options', 'targets', 'icon', 'color', 'order', 'archived']) {
+        if (req.body[field] !== undefined) category[field] = req.body[field];
+      }
+      // Existing activities keep their stored values; the schema applies to new and edited ones
+      const schemaErrors = [
+        ...validateValueSchema(category),
+        ...validateTargets(req.body.targets ?? category.targets.map((t) => t.toObject()), category.valueType),
+      ];
+      if (schemaErrors.length) return res.status(400).json({ errors: schemaErrors });
+      if (category.valueType === 'duration') category.unit = 'min';
+      if (category.valueType !== 'enum') category.options = [];
+      await category.save();
+      res.json(category);
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// DELETE /api/activities/categories/:id - Archive (soft delete) so existing activities keep their category
+router.delete(
+  '/categories/:id',
+  [param('id').isMongoId()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const category = await ActivityCategory.findOneAndUpdate(
+        { _id: req.params.id, userId: req.user._id },
+        { archived: true }
+      );
+      if (!category) return res.status(404).json({ message: 'Category not found' });
+      res.status(204).send();
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// ============ TIMERS ============
+
+const MINUTE_MS = 60 * 1000;
+const MAX_TIMER_MS = 7 * 24 * 60 * MINUTE_MS;
+// A stop that claimed a timer but never finished (crash) releases it after this long
+const STOP_CLAIM_TTL_MS = MINUTE_MS;
+
+function serializeTimer(timer, now = new Date()) {
+  return { ...timer, elapsedMinutes: Math.floor((now - new Date(timer.startedAt)) / MINUTE_MS) };
+}
+
+function parseInstant(value) {
+  return value === undefined ? new Date() : new Date(value);
+}
+
+// GET /api/activities/timers - Running timers with elapsed minutes
+router.get('/timers', async (req, res) => {
+  try {
+    const timers = await ActivityTimer.find({ userId: req.user._id }).sort({ startedAt: 1 }).lean();
+    const now = new Date();
+    res.json(timers.map((t) => serializeTimer(t, now)));
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// POST /api/activities/timers - Start a timer for a duration (or time-unit number) category
+router.post(
+  '/timers',
+  [
+    body('category').isString().trim().notEmpty().withMessage('Category is required'),
+    body('startedAt').optional().isISO8601().withMessage('startedAt must be an ISO 8601 timestamp'),
+    body('notes').optional().trim(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const startedAt = parseInstant(req.body.startedAt);
+    if (startedAt > new Date()) return res.status(400).json({ message: 'startedAt cannot be in the future' });
+
+    try {
+      const category = await findActiveCategory(req.user._id, req.body.category);
+      if (!category) return res.status(400).json({ message: 'Unknown or archived category' });
+      if (!supportsTimer(category)) {
+        return res.status(400).json({ message: 'Timers need a duration category or a number category with a time unit' });
+      }
+      const timer = await ActivityTimer.create({
+        userId: req.user._id,
+        category: req.body.category,
+        startedAt,
+        notes: req.body.notes || '',
+      });
+      res.status(201).json(serializeTimer(timer.toObject()));
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ message: 'A timer is already running for this category' });
+      }
+      sendServerError(res, err);
+    }
+  }
+);
+
+// POST /api/activities/timers/:id/stop - Stop a timer and record it as activities,
+// one per local day when it ran past midnight
+router.post(
+  '/timers/:id/stop',
+  [
+    param('id').isMongoId(),
+    body('endedAt').optional().isISO8601().withMessage('endedAt must be an ISO 8601 timestamp'),
+    body('notes').optional().trim(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const timer = await ActivityTimer.findOne({ _id: req.params.id, userId: req.user._id }).lean();
+      if (!timer) return res.status(404).json({ message: 'Timer not found' });
+
+      const endedAt = parseInstant(req.body.endedAt);
+      if (endedAt > new Date()) return res.status(400).json({ message: 'endedAt cannot be in the future' });
+      if (endedAt <= timer.startedAt) return res.status(400).json({ message: 'endedAt must be after the timer started' });
+      if (endedAt - timer.startedAt > MAX_TIMER_MS) {
+        return res.status(400).json({ message: 'Timers cannot run longer than 7 days; discard it and log the time manually' });
+      }
+
+      const category = await ActivityCategory.findOne({ userId: req.user._id, key: timer.category }).lean();
+      if (!category) return res.status(400).json({ message: 'Activity category no longer exists' });
+
+      const notes = req.body.notes !== undefined ? req.body.notes : timer.notes;
+      const payloads = [];
+      for (const piece of splitByLocalDay(timer.startedAt, endedAt, userTimeZone(req.user))) {
+        const minutes = (piece.end - piece.start) / MINUTE_MS;
+        const normalized = normalizeActivityValue(category, { value: minutes, unit: 'min' });
+        if (normalized.errors.length) return res.status(400).json({ errors: normalized.errors });
+        payloads.push({
+          userId: req.user._id,
+          date: piece.day,
+          category: category.key,
+          value: category.valueType === 'duration' ? normalized.value : Math.round(normalized.value * 100) / 100,
+          unit: normalized.unit,
+          notes,
+          startedAt: piece.start,
+          endedAt: piece.end,
+        });
+      }
+
+      // Claiming the timer first makes a double stop (two clients) record the time only once;
+      // it is removed only after the activities are stored, so a failed insert keeps it running
+      const now = new Date();
+      const claimed = await ActivityTimer.findOneAndUpdate(
+        { _id: timer._id, $or: [{ stoppedAt: null }, { stoppedAt: { $lt: new Date(now - STOP_CLAIM_TTL_MS) } }] },
+        { stoppedAt: now }
+      );
+      if (!claimed) return res.status(409).json({ message: 'Timer is already being stopped' });
+      let activities;
+      try {
+        activities = await Activity.insertMany(payloads);
+      } catch (err) {
+        await ActivityTimer.updateOne({ _id: timer._id }, { stoppedAt: null });
+        throw err;
+      }
+      await ActivityTimer.deleteOne({ _id: timer._id });
+      res.status(201).json({ durationMinutes: Math.round((endedAt - timer.startedAt) / MINUTE_MS), activities });
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// DELETE /api/activities/timers/:id - Discard a running timer without recording it
+router.delete(
+  '/timers/:id',
+  [param('id').isMongoId()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const timer = await ActivityTimer.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+      if (!timer) return res.status(404).json({ message: 'Timer not found' });
+      res.status(204).send();
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// ============ ACTIVITIES ============
+
+const SORT_FIELDS = ['date', 'value', 'createdAt'];
+const MAX_PAGE_SIZE = 500;
+// Value types stored as plain numbers, which `sort=value` can order
+const SORTABLE_VALUE_TYPES = ['number', 'scale', 'duration'];
+
+// GET /api/activities - List activities. Filters: from/to, categories (comma-separated keys),
+// minValue/maxValue (numeric values), q (notes search); sort: date, value or createdAt, "-" for
+// descending. sort=value needs `categories`, all with numeric values. With `limit` or `cursor`
+// the response is a page: { items, nextCursor }; otherwise the plain array of every match,
+// refused with a 400 when more than MAX_PAGE_SIZE match (never silently truncated).
 router.get(
   '/',
   [
     query('from').optional().isISO8601(),
     query('to').optional().isISO8601(),
+    query('categories').optional().isString(),
+    query('minValue').optional().isFloat().toFloat(),
+    query('maxValue').optional().isFloat().toFloat(),
+    query('q').optional().isString().trim(),
+    query('sort').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt(),
+    query('cursor').optional().isString(),
   ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const { from, to } = req.query;
-    const filter = { userId: req.user._id };
-    if (from || to) {
-      filter.date = {};
-      if (from) filter.date.$gte = new Date(from);
-      if (to) filter.date.$lte = new Date(to);
+    const sort = parseSort(req.query.sort, SORT_FIELDS, 'date');
+    if (!sort) return res.status(400).json({ message: `sort must be one of ${SORT_FIELDS.join(', ')} (prefix - for descending)` });
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) return res.status(400).json({ message: 'Invalid cursor' });
+
+    try {
+      const { from, to, categories, minValue, maxValue, q } = req.query;
+      const tz = userTimeZone(req.user);
+      const filter = { userId: req.user._id };
+      if (from || to) {
+        filter.date = {};
+        if (from) filter.date.$gte = toRequestDay(from, tz);
+        if (to) filter.date.$lt = addDays(toRequestDay(to, tz), 1);
+      }
+      const categoryKeys = categories ? categories.split(',').map((k) => k.trim()).filter(Boolean) : [];
+      if (categoryKeys.length) filter.category = { $in: categoryKeys };
+      if (sort.field === 'value') {
+        // Other values (true, "happy", text) would silently drop out of the listing
+        const typed = await ActivityCategory.find({ userId: req.user._id, key: { $in: categoryKeys } })
+          .select('key valueType')
+          .lean();
+        const valueTypes = new Map(typed.map((c) => [c.key, c.valueType || 'number']));
+        const isSortable = (k) => SORTABLE_VALUE_TYPES.includes(valueTypes.get(k) ?? 'number');
+        if (!categoryKeys.length || !categoryKeys.every(isSortable)) {
+          return res.status(400).json({ message: 'sort=value needs categories whose values are numbers, scales or durations' });
+        }
+      }
+      // Range filters and value sorting only consider numeric values
+      if (minValue !== undefined || maxValue !== undefined || sort.field === 'value') {
+        filter.value = { $type: 'number' };
+        if (minValue !== undefined) filter.value.$gte = minValue;
+        if (maxValue !== undefined) filter.value.$lte = maxValue;
+      }
+      if (q) filter.notes = { $regex: escapeRegexString(q), $options: 'i' };
+
+      const paginated = req.query.limit !== undefined || cursor !== null;
+      if (!paginated) {
+        const activities = await Activity.find(filter).sort(keysetSort(sort)).limit(MAX_PAGE_SIZE + 1).lean();
+        if (activities.length > MAX_PAGE_SIZE) {
+          return res.status(400).json({
+            message: `More than ${MAX_PAGE_SIZE} activities match; narrow from/to or page through them with limit and cursor`,
+          });
+        }
+        return res.json(activities);
+      }
+
+      const limit = req.query.limit || 100;
+      const pageFilter = cursor ? { $and: [filter, keysetFilter(sort, cursor)] } : filter;
+      const items = await Activity.find(pageFilter).sort(keysetSort(sort)).limit(limit + 1).lean();
+      const hasMore = items.length > limit;
+      if (hasMore) items.pop();
+      const last = items[items.length - 1];
+      res.json({ items, nextCursor: hasMore ? encodeCursor(last[sort.field], last._id) : null });
+    } catch (err) {
+      sendServerError(res, err);
     }
+  }
+);
+
+const STATS_DEFAULT_DAYS = 30;
+const STATS_MAX_DAYS = 731;
 
-    const activities = await Activity.find(filter).sort({ date: 1 }).lean();
-    res.json(activities);
+// GET /api/activities/stats - Per-category aggregates, rolling averages and period-over-period deltas.
+// Defaults to the last 30 days; `categories` is a comma-separated list of category keys.
+router.get(
+  '/stats',
+  [
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('granularity').optional().isIn(GRANULARITIES).withMessage(`granularity must be one of ${GRANULARITIES.join(', ')}`),
+    query('window').optional().isInt({ min: 1, max: 90 }).toInt(),
+    query('categories').optional().isString(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const tz = userTimeZone(req.user);
+      const to = req.query.to ? toRequestDay(req.query.to, tz) : today(tz);
+      const from = req.query.from ? toRequestDay(req.query.from, tz) : addDays(to, -(STATS_DEFAULT_DAYS - 1));
+      const length = diffDays(from, to) + 1;
+      if (length < 1) return res.status(400).json({ message: 'from must not be after to' });
+      if (length > STATS_MAX_DAYS) return res.status(400).json({ message: `Range is limited to ${STATS_MAX_DAYS} days` });
+      const granularity = req.query.granularity || 'day';
+      const window = req.query.window || 7;
+
+      await ActivityCategory.ensureDefaults(req.user._id);
+      const categoryFilter = { userId: req.user._id };
+      if (req.query.categories) {
+        categoryFilter.key = { $in: req.query.categories.split(',').map((k) => k.trim()).filter(Boolean) };
+      }
+      const categories = await ActivityCategory.find(categoryFilter).sort({ order: 1, name: 1 }).lean();
+
+      // Earlier days feed the previous period and the first rolling windows
+      const fetchFrom = addDays(from, -Math.max(length, window - 1));
+      const activities = await Activity.find({
+        userId: req.user._id,
+        category: { $in: categories.map((c) => c.key) },
+        date: dayRangeFilter(fetchFrom, to),
+      })
+        .select('date category value')
+        .lean();
+
+      const byCategory = new Map(categories.map((c) => [c.key, []]));
+      for (const a of activities) byCategory.get(a.category)?.push(a);
+
+      res.json({
+        from: dayKey(from),
+        to: dayKey(to),
+        granularity,
+        window,
+        categories: categories
+          .filter((c) => !c.archived || byCategory.get(c.key).length > 0)
+          .map((c) => ({
+            key: c.key,
+            name: c.name,
+            unit: c.unit,
+            valueType: c.valueType,
+            ...buildCategoryStats(byCategory.get(c.key), {
+              from,
+              to,
+              granularity,
+              weekStart: req.user.settings?.weekStart ?? 0,
+              window,
+            }),
+          })),
+      });
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// GET /api/activities/targets/progress - Per-day/week progress and hit rate for every category
+// with targets. Defaults to the last 30 days; `categories` is a comma-separated list of keys.
+router.get(
+  '/targets/progress',
+  [
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('categories').optional().isString(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const tz = userTimeZone(req.user);
+      const now = today(tz);
+      const to = req.query.to ? toRequestDay(req.query.to, tz) : now;
+      const from = req.query.from ? toRequestDay(req.query.from, tz) : addDays(to, -(STATS_DEFAULT_DAYS - 1));
+      const length = diffDays(from, to) + 1;
+      if (length < 1) return res.status(400).json({ message: 'from must not be after to' });
+      if (length > STATS_MAX_DAYS) return res.status(400).json({ message: `Range is limited to ${STATS_MAX_DAYS} days` });
+      const weekStart = req.user.settings?.weekStart ?? 0;
+
+      await ActivityCategory.ensureDefaults(req.user._id);
+      const categoryFilter = { userId: req.user._id, archived: false, 'targets.0': { $exists: true } };
+      if (req.query.categories) {
+        categoryFilter.key = { $in: req.query.categories.split(',').map((k) => k.trim()).filter(Boolean) };
+      }
+      const categories = await ActivityCategory.find(categoryFilter).sort({ order: 1, name: 1 }).lean();
+
+      // Weekly targets look at whole weeks, which may start before `from` and end after `to`
+      const activities = await Activity.find({
+        userId: req.user._id,
+        category: { $in: categories.map((c) => c.key) },
+        date: dayRangeFilter(startOfWeek(from, weekStart), addDays(startOfWeek(to, weekStart), 6)),
+      })
+        .select('date category value')
+        .lean();
+
+      const totals = new Map(categories.map((c) => [c.key, new Map()]));
+      for (const a of activities) {
+        const n = numericValue(a.value);
+        if (n === null) continue;
+        const daily = totals.get(a.category);
+        const key = dayKey(a.date);
+        daily.set(key, (daily.get(key) || 0) + n);
+      }
+
+      res.json({
+        from: dayKey(from),
+        to: dayKey(to),
+        categories: categories.map((c) => ({
+          key: c.key,
+          name: c.name,
+          unit: c.unit,
+          targets: c.targets.map((t) => evaluateTarget(t, totals.get(c.key), { from, to, today: now, weekStart })),
+        })),
+      });
+    } catch (err) {
+      sendServerError(res, err);
+    }
   }
 );
 
@@ -33,7 +556,7 @@ router.post(
   '/',
   [
     body('date').isISO8601().withMessage('Valid date required'),
-    body('category').isIn(ALLOWED_CATEGORIES).withMessage('Invalid category'),
+    body('category').isString().trim().notEmpty().withMessage('Category is required'),
     body('value').notEmpty().withMessage('Value is required'),
     body('unit').optional().trim(),
     body('notes').optional().trim(),
@@ -42,32 +565,41 @@ router.post(
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const { date, category, value, unit, notes } = req.body;
-    const dayStart = new Date(date);
-    dayStart.setHours(0, 0, 0, 0);
-
-    const existing = await Activity.findOne({
-      userId: req.user._id,
-      date: { $gte: dayStart, $lt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) },
-      category,
-    });
-
-    const payload = {
-      userId: req.user._id,
-      date: dayStart,
-      category,
-      value: typeof value === 'string' ? value : Number(value),
-      unit: unit || '',
-      notes: notes || '',
-    };
-
-    let doc;
-    if (existing) {
-      doc = await Activity.findByIdAndUpdate(existing._id, payload, { new: true });
-    } else {
-      doc = await Activity.create(payload);
+    const { date, category, notes } = req.body;
+    try {
+      const activityCategory = await findActiveCategory(req.user._id, category);
+      if (!activityCategory) return res.status(400).json({ message: 'Unknown or archived category' });
+      const normalized = normalizeActivityValue(activityCategory, req.body);
+      if (normalized.errors.length) return res.status(400).json({ errors: normalized.errors });
+      const dayStart = toRequestDay(date, userTimeZone(req.user));
+
+      // Timer entries are separate sessions; a manual entry is the day's single value
+      const existing = await Activity.findOne({
+        userId: req.user._id,
+        date: dayRangeFilter(dayStart, dayStart),
+        category,
+        startedAt: null,
+      });
+
+      const payload = {
+        userId: req.user._id,
+        date: dayStart,
+        category,
+        value: normalized.value,
+        unit: normalized.unit,
+        notes: notes || '',
+      };
+
+      let doc;
+      if (existing) {
+        doc = await Activity.findByIdAndUpdate(existing._id, payload, { new: true });
+      } else {
+        doc = await Activity.create(payload);
+      }
+      res.status(existing ? 200 : 201).json(doc);
+    } catch (err) {
+      sendServerError(res, err);
     }
-    res.status(existing ? 200 : 201).json(doc);
   }
 );
 
@@ -76,7 +608,7 @@ router.put(
   [
     param('id').isMongoId(),
     body('date').optional().isISO8601(),
-    body('category').optional().isIn(ALLOWED_CATEGORIES),
+    body('category').optional().isString().trim().notEmpty(),
     body('value').optional().notEmpty(),
     body('unit').optional().trim(),
     body('notes').optional().trim(),
@@ -85,18 +617,40 @@ router.put(
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const activity = await Activity.findOne({ _id: req.params.id, userId: req.user._id });
-    if (!activity) return res.status(404).json({ message: 'Activity not found' });
+    try {
+      const activity = await Activity.findOne({ _id: req.params.id, userId: req.user._id });
+      if (!activity) return res.status(404).json({ message: 'Activity not found' });
+
+      let newCategory = null;
+      if (req.body.category !== undefined) {
+        newCategory = await findActiveCategory(req.user._id, req.body.category);
+        if (!newCategory) return res.status(400).json({ message: 'Unknown or archived category' });
+      }
 
-    const updates = {};
-    if (req.body.date !== undefined) updates.date = new Date(req.body.date);
-    if (req.body.category !== undefined) updates.category = req.body.category;
-    if (req.body.value !== undefined) updates.value = req.body.value;
-    if (req.body.unit !== undefined) updates.unit = req.body.unit;
-    if (req.body.notes !== undefined) updates.notes = req.body.notes;
+      const updates = {};
+      if (req.body.date !== undefined) updates.date = toRequestDay(req.body.date, userTimeZone(req.user));
+      if (req.body.category !== undefined) updates.category = req.body.category;
+      if (req.body.notes !== undefined) updates.notes = req.body.notes;
 
-    const updated = await Activity.findByIdAndUpdate(req.params.id, updates, { new: true });
-    res.json(updated);
+      // Re-validate the value whenever it, its unit or its category changes
+      if (req.body.value !== undefined || req.body.unit !== undefined || req.body.category !== undefined) {
+        const category =
+          newCategory || (await ActivityCategory.findOne({ userId: req.user._id, key: activity.category }).lean());
+        if (!category) return res.status(400).json({ message: 'Activity category no longer exists' });
+        const normalized = normalizeActivityValue(category, {
+          value: req.body.value !== undefined ? req.body.value : activity.value,
+          unit: req.body.unit !== undefined ? req.body.unit : req.body.value !== undefined ? undefined : activity.unit,
+        });
+        if (normalized.errors.length) return res.status(400).json({ errors: normalized.errors });
+        updates.value = normalized.value;
+        updates.unit = normalized.unit;
+      }
+
+      const updated = await Activity.findByIdAndUpdate(req.params.id, updates, { new: true });
+      res.json(updated);
+    } catch (err) {
+      sendServerError(res, err);
+    }
   }
 );
 
@@ -0,0 +1,203 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import { protect, requireSession } from '../middleware/auth.js';
+import User from '../models/User.js';
+import Activity from '../models/Activity.js';
+import ActivityCategory from '../models/ActivityCategory.js';
+import Project from '../models/Project.js';
+import Task from '../models/Task.js';
+import TaskCompletion from '../models/TaskCompletion.js';
+import Habit from '../models/Habit.js';
+import HabitEntry from '../models/HabitEntry.js';
+import PrayerEntry from '../models/PrayerEntry.js';
+import Streak from '../models/Streak.js';
+import BudgetCategory from '../models/BudgetCategory.js';
+import Transaction from '../models/Transaction.js';
+import Note from '../models/Note.js';
+import NoteCategory from '../models/NoteCategory.js';
+import Reference from '../models/Reference.js';
+import YearReport from '../models/YearReport.js';
+import { ARCHIVE_EXCLUDED, ARCHIVE_FORMAT, ARCHIVE_VERSION, remapArchive, validateArchive } from '../utils/archive.js';
+import { dayKey } from '../utils/dates.js';
+import { mergeSettings, serializeSettings } from '../utils/settings.js';
+import { sendServerError } from '../utils/apiResponse.js';
+
+// Mounted at /api; the whole account is exported, so API tokens are not accepted
+const router = express.Router();
+const sessionOnly = [protect, requireSession];
+
+/** Archive collection name -> model. Other per-user data is listed in ARCHIVE_EXCLUDED. */
+const ARCHIVE_MODELS = {
+  projects: Project,
+  tasks: Task,
+  taskCompletions: TaskCompletion,
+  habits: Habit,
+  habitEntries: HabitEntry,
+  prayerEntries: PrayerEntry,
+  streaks: Streak,
+  activityCategories: ActivityCategory,
+  activities: Activity,
+  budgetCategories: BudgetCategory,
+  transactions: Transaction,
+  noteCategories: NoteCategory,
+  notes: Note,
+  references: Reference,
+};
+
+const MAX_REPORTED_ERRORS = 20;
+
+// Unique-key matches the user already has; references resolve to the existing document
+async function findReusableDocuments(userId, collections) {
+  const [activityCategories, budgetCategories, noteCategories, streaks] = await Promise.all([
+    ActivityCategory.find({ userId }).select('key').lean(),
+    BudgetCategory.find({ userId }).select('name type').lean(),
+    NoteCategory.find({ userId }).select('name').lean(),
+    Streak.find({ userId }).select('milestone').lean(),
+  ]);
+  const match = (archived = [], existing, keyOf) => {
+    const byKey = new Map(existing.map((d) => [keyOf(d), d._id]));
+    const map = new Map();
+    for (const doc of archived) {
+      const id = byKey.get(keyOf(doc));
+      if (id) map.set(String(doc._id), id);
+    }
+    return map;
+  };
+  return {
+    activityCategories: match(collections.activityCategories, activityCategories, (d) => d.key),
+    budgetCategories: match(collections.budgetCategories, budgetCategories, (d) => `${d.type}:${d.name}`),
+    noteCategories: match(collections.noteCategories, noteCategories, (d) => d.name),
+    streaks: match(collections.streaks, streaks, (d) => String(d.milestone)),
+  };
+}
+
+// Counts documents rejected by a unique index instead of failing the whole import. Inside a
+// transaction (`session`) any write error aborts it, so errors are rethrown there.
+async function insertDocuments(Model, docs, session = null) {
+  if (docs.length === 0) return { inserted: 0, duplicates: 0 };
+  try {
+    const inserted = await Model.insertMany(docs, { ordered: false, session });
+    return { inserted: inserted.length, duplicates: 0 };
+  } catch (err) {
+    const writeErrors = err.writeErrors || [];
+    if (session) throw err;
+    if (writeErrors.length === 0 || writeErrors.some((e) => (e.code ?? e.err?.code) !== 11000)) throw err;
+    return { inserted: err.insertedDocs?.length ?? docs.length - writeErrors.length, duplicates: writeErrors.length };
+  }
+}
+
+// Transactions need a replica set or sharded cluster; a standalone mongod (the default local setup) has none
+async function supportsTransactions() {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+}
+
+// ============ EXPORT ============
+
+// GET /api/export - Download every document the user owns as a versioned JSON archive
+router.get('/export', sessionOnly, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const collections = {};
+    await Promise.all(
+      Object.entries(ARCHIVE_MODELS).map(async ([name, Model]) => {
+        collections[name] = await Model.find({ userId }).select('-userId -__v').lean();
+      })
+    );
+    const exportedAt = new Date();
+    res.set('Content-Disposition', `attachment; filename="life-tracker-${dayKey(exportedAt)}.json"`);
+    res.json({
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt,
+      settings: serializeSettings(req.user.settings),
+      collections,
+      excluded: ARCHIVE_EXCLUDED,
+    });
+  } catch (err) {
+    sendServerError(res, err, 'Export failed');
+  }
+});
+
+// ============ IMPORT ============
+
+// POST /api/import - Restore an archive into this account with fresh ids.
+// mode "merge" (default) adds to the existing data; "replace" deletes it first and also restores
+// settings. Where MongoDB supports transactions, a replace runs in one so a failed import leaves
+// the data as it was; on a standalone server it deletes, then inserts, as a plain sequence.
+router.post(
+  '/import',
+  sessionOnly,
+  [body('mode').optional().isIn(['merge', 'replace']).withMessage('mode must be merge or replace')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { mode = 'merge', archive } = req.body;
+    const problems = validateArchive(archive);
+    if (problems.length) return res.status(400).json({ message: 'Invalid archive', errors: problems });
+
+    try {
+      const userId = req.user._id;
+      const reuse = mode === 'merge' ? await findReusableDocuments(userId, archive.collections) : {};
+      const { collections, skipped } = remapArchive(archive.collections, {
+        userId,
+        createId: () => new mongoose.Types.ObjectId(),
+        reuse,
+      });
+
+      // Validate everything before touching existing data so a bad archive changes nothing
+      const invalid = [];
+      for (const [name, docs] of Object.entries(collections)) {
+        const Model = ARCHIVE_MODELS[name];
+        for (const [index, doc] of docs.entries()) {
+          if (invalid.length >= MAX_REPORTED_ERRORS) break;
+          try {
+            await new Model(doc).validate();
+          } catch (err) {
+            invalid.push({ collection: name, index, message: err.message });
+          }
+        }
+      }
+      if (invalid.length) return res.status(400).json({ message: 'Archive contains invalid documents', errors: invalid });
+
+      const insertAll = async (session) => {
+        const summary = {};
+        for (const [name, docs] of Object.entries(collections)) {
+          const { inserted, duplicates } = await insertDocuments(ARCHIVE_MODELS[name], docs, session);
+          summary[name] = {
+            imported: inserted,
+            reused: reuse[name]?.size || 0,
+            skipped: skipped[name] + duplicates,
+          };
+        }
+        return summary;
+      };
+
+      let summary;
+      const replaceAll = async (session) => {
+        // One operation at a time: a session cannot run them in parallel
+        for (const Model of Object.values(ARCHIVE_MODELS)) await Model.deleteMany({ userId }, { session });
+        if (archive.settings) {
+          await User.updateOne({ _id: userId }, { settings: mergeSettings(req.user.settings, archive.settings) }, { session });
+        }
+        summary = await insertAll(session);
+      };
+      if (mode === 'merge') {
+        summary = await insertAll(null);
+      } else if (await supportsTransactions()) {
+        await mongoose.connection.transaction(replaceAll);
+      } else {
+        await replaceAll(null);
+      }
+      // Cached year reports no longer match the imported data
+      await YearReport.deleteMany({ userId });
+      res.status(201).json({ mode, version: archive.version, collections: summary });
+    } catch (err) {
+      sendServerError(res, err, 'Import failed');
+    }
+  }
+);
+
+export default router;
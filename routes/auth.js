@@ -1,15 +1,126 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
-import { body, validationResult } from 'express-validator';
-import User from '../models/User.js';
-import { getJwtSecret } from '../utils/jwtConfig.js';
+import mongoose from 'mongoose';
+import { body, param, query, validationResult } from 'express-validator';
+import User, { TWO_FACTOR_FIELDS } from '../models/User.js';
+import Session from '../models/Session.js';
+import UserToken from '../models/UserToken.js';
+import AuthEvent, { AUTH_EVENT_TYPES } from '../models/AuthEvent.js';
+import ApiToken from '../models/ApiToken.js';
+import {
+  REFRESH_TOKEN_TTL_MS,
+  generateApiToken,
+  generateOpaqueToken,
+  generateRefreshToken,
+  hashToken,
+  parseRefreshToken,
+  signAccessToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} from '../utils/authTokens.js';
+import {
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  generateTotpSecret,
+  normalizeRecoveryCode,
+  verifyTotp,
+} from '../utils/totp.js';
+import { describeUserAgent } from '../utils/userAgent.js';
+import { lockoutDurationMs, lockoutSecondsRemaining } from '../utils/loginLockout.js';
+import { API_TOKEN_SCOPES } from '../utils/scopes.js';
+import { isPendingDeletion } from '../utils/accountDeletion.js';
+import { isValidTimeZone } from '../utils/dates.js';
+import { sendMailSafely } from '../utils/mailer.js';
+import { emailChangeEmail, emailVerificationEmail, passwordResetEmail } from '../utils/emails.js';
 import { sendServerError } from '../utils/apiResponse.js';
+import { audit, requestUserAgent } from '../utils/authEvents.js';
 import { authRateLimiter } from '../middleware/rateLimit.js';
+import { protect, requireSession } from '../middleware/auth.js';
 
 const router = express.Router();
 router.use(authRateLimiter);
 
-const signToken = (userId) => jwt.sign({ userId }, getJwtSecret(), { expiresIn: '7d' });
+// Account and security endpoints are not reachable with personal API tokens
+const sessionOnly = [protect, requireSession];
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+const LOCKOUT_FIELDS = '+failedLoginCount +lockedUntil';
+
+// Counts a failed password or 2FA code against the account and locks it past the threshold
+async function recordFailedAttempt(req, userId, type) {
+  const { failedLoginCount } = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { failedLoginCount: 1 } },
+    { new: true }
+  ).select(LOCKOUT_FIELDS);
+  const lockMs = lockoutDurationMs(failedLoginCount);
+  if (lockMs > 0) {
+    await User.updateOne({ _id: userId }, { lockedUntil: new Date(Date.now() + lockMs) });
+  }
+  await audit(req, userId, type, { failedLoginCount, lockedForSeconds: lockMs / 1000 });
+}
+
+async function clearFailedAttempts(user) {
+  if (user.failedLoginCount || user.lockedUntil) {
+    await User.updateOne({ _id: user._id }, { failedLoginCount: 0, lockedUntil: null });
+  }
+}
+
+// Signing in to a deleted account needs an explicit restore (POST /restore-account)
+function sendPendingDeletion(res, user) {
+  return res.status(403).json({
+    message: 'Account is scheduled for deletion. Restore it to sign in.',
+    deletionScheduledFor: user.deletionScheduledFor,
+  });
+}
+
+function serializeUser(user) {
+  return {
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    emailVerified: !!user.emailVerified,
+    twoFactorEnabled: !!user.twoFactor?.enabled,
+  };
+}
+
+function issueRecoveryCodes(user) {
+  const codes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodeHashes = codes.map((c) => hashToken(normalizeRecoveryCode(c)));
+  return codes;
+}
+
+// Replaces any outstanding token of the same purpose and returns the raw token to email
+async function createUserToken(userId, purpose, ttlMs, email = null) {
+  await UserToken.deleteMany({ userId, purpose, usedAt: null });
+  const { token, hash } = generateOpaqueToken();
+  await UserToken.create({ userId, purpose, tokenHash: hash, email, expiresAt: new Date(Date.now() + ttlMs) });
+  return token;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createUserToken(user._id, 'email_verification', EMAIL_TOKEN_TTL_MS, user.email);
+  await sendMailSafely(emailVerificationEmail({ to: user.email, name: user.name, token }), 'verification');
+}
+
+// Creates a server-side session and returns the access/refresh token pair for it
+async function issueTokens(userId, req) {
+  const sessionId = new mongoose.Types.ObjectId();
+  const { token: refreshToken, hash } = generateRefreshToken(sessionId);
+  const userAgent = requestUserAgent(req);
+  await Session.create({
+    _id: sessionId,
+    userId,
+    refreshTokenHash: hash,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    userAgent,
+    device: describeUserAgent(userAgent),
+    ip: req.ip || '',
+    lastSeenAt: new Date(),
+  });
+  return { token: signAccessToken(userId, sessionId), refreshToken };
+}
 
 router.post(
   '/register',
@@ -17,21 +128,25 @@ router.post(
     body('name').trim().notEmpty().withMessage('Name is required'),
     body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('timezone').optional().custom(isValidTimeZone).withMessage('Unknown IANA timezone'),
   ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
-    const { name, email, password } = req.body;
+    const { name, email, password, timezone } = req.body;
     try {
       const existing = await User.findOne({ email });
       if (existing) return res.status(400).json({ message: 'Email already registered' });
-      const user = await User.create({ name, email, password });
-      const token = signToken(user._id);
+      // Clients send the browser's zone so "today" is right from the first request
+      const user = await User.create({ name, email, password, settings: timezone ? { timezone } : undefined });
+      await sendVerificationEmail(user);
+      const { token, refreshToken } = await issueTokens(user._id, req);
       res.status(201).json({
-        user: { _id: user._id, name: user.name, email: user.email },
+        user: serializeUser(user),
         token,
+        refreshToken,
       });
     } catch (err) {
       sendServerError(res, err, 'Registration failed');
@@ -52,14 +167,77 @@ router.post(
     }
     const { email, password } = req.body;
     try {
-      const user = await User.findOne({ email }).select('+password');
+      const user = await User.findOne({ email }).select(`+password ${LOCKOUT_FIELDS}`);
       if (!user) return res.status(401).json({ message: 'Invalid email or password' });
+      // A locked account answers like a wrong password, so locking an address cannot reveal
+      // that it is registered (the owner sees login_locked in the audit log)
+      if (lockoutSecondsRemaining(user) > 0) {
+        await audit(req, user._id, 'login_locked');
+        return res.status(401).json({ message: 'Invalid email or password' });
+      }
       const match = await user.comparePassword(password);
-      if (!match) return res.status(401).json({ message: 'Invalid email or password' });
-      const token = signToken(user._id);
+      if (!match) {
+        await recordFailedAttempt(req, user._id, 'login_failure');
+        return res.status(401).json({ message: 'Invalid email or password' });
+      }
+      if (isPendingDeletion(user)) return sendPendingDeletion(res, user);
+      // Failure count is only cleared after the second factor, so 2FA guesses stay throttled
+      if (user.twoFactor?.enabled) {
+        return res.json({ twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user._id) });
+      }
+      await clearFailedAttempts(user);
+      await audit(req, user._id, 'login_success', { method: 'password' });
+      const { token, refreshToken } = await issueTokens(user._id, req);
+      res.json({
+        user: serializeUser(user),
+        token,
+        refreshToken,
+      });
+    } catch (err) {
+      sendServerError(res, err, 'Login failed');
+    }
+  }
+);
+
+// POST /api/auth/login/2fa - Second login step: exchange the challenge token and a code for tokens
+router.post(
+  '/login/2fa',
+  [
+    body('challengeToken').isString().notEmpty().withMessage('challengeToken is required'),
+    body('code').isString().trim().notEmpty().withMessage('code is required'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const userId = verifyTwoFactorChallenge(req.body.challengeToken);
+    if (!userId) return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+
+    try {
+      const user = await User.findById(userId).select(`${TWO_FACTOR_FIELDS} ${LOCKOUT_FIELDS}`);
+      if (!user || !user.twoFactor?.enabled) {
+        return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+      }
+      if (lockoutSecondsRemaining(user) > 0) {
+        await audit(req, user._id, 'login_locked');
+        return res.status(401).json({ message: 'Invalid authentication code' });
+      }
+      const method = await user.consumeSecondFactor(req.body.code);
+      if (!method) {
+        await recordFailedAttempt(req, user._id, 'two_factor_failure');
+        return res.status(401).json({ message: 'Invalid authentication code' });
+      }
+      user.failedLoginCount = 0;
+      user.lockedUntil = null;
+      await user.save();
+      await audit(req, user._id, 'login_success', { method: method === 'totp' ? 'totp' : 'recovery_code' });
+
+      const { token, refreshToken } = await issueTokens(user._id, req);
       res.json({
-        user: { _id: user._id, name: user.name, email: user.email },
+        user: serializeUser(user),
         token,
+        refreshToken,
+        recoveryCodesRemaining: user.twoFactor.recoveryCodeHashes.length,
       });
     } catch (err) {
       sendServerError(res, err, 'Login failed');
@@ -67,4 +245,599 @@ router.post(
   }
 );
 
+// POST /api/auth/restore-account - Cancel a pending deletion during the grace period and sign in
+router.post(
+  '/restore-account',
+  [
+    body('email').isEmail().normalizeEmail(),
+    body('password').notEmpty(),
+    body('code').optional().isString().trim(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const user = await User.findOne({ email: req.body.email }).select(`+password ${TWO_FACTOR_FIELDS} ${LOCKOUT_FIELDS}`);
+      if (!user) return res.status(401).json({ message: 'Invalid email or password' });
+      if (lockoutSecondsRemaining(user) > 0) {
+        await audit(req, user._id, 'login_locked');
+        return res.status(401).json({ message: 'Invalid email or password' });
+      }
+      if (!(await user.comparePassword(req.body.password))) {
+        await recordFailedAttempt(req, user._id, 'login_failure');
+        return res.status(401).json({ message: 'Invalid email or password' });
+      }
+      if (user.twoFactor?.enabled) {
+        if (!req.body.code) return res.status(400).json({ message: 'code is required when two-factor authentication is enabled' });
+        if (!(await user.consumeSecondFactor(req.body.code))) {
+          await recordFailedAttempt(req, user._id, 'two_factor_failure');
+          return res.status(401).json({ message: 'Invalid authentication code' });
+        }
+      }
+      if (!isPendingDeletion(user)) return res.status(400).json({ message: 'Account is not scheduled for deletion' });
+
+      user.deletionRequestedAt = null;
+      user.deletionScheduledFor = null;
+      user.failedLoginCount = 0;
+      user.lockedUntil = null;
+      await user.save();
+      await audit(req, user._id, 'account_restored');
+
+      const { token, refreshToken } = await issueTokens(user._id, req);
+      res.json({ user: serializeUser(user), token, refreshToken });
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// POST /api/auth/refresh - Rotate the refresh token and issue a new access token
+router.post(
+  '/refresh',
+  [body('refreshToken').isString().notEmpty().withMessage('refreshToken is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const sessionId = parseRefreshToken(req.body.refreshToken);
+    if (!sessionId) return res.status(401).json({ message: 'Invalid refresh token' });
+
+    try {
+      const now = new Date();
+      const next = generateRefreshToken(sessionId);
+      const session = await Session.findOneAndUpdate(
+        {
+          _id: sessionId,
+          refreshTokenHash: hashToken(req.body.refreshToken),
+          revokedAt: null,
+          expiresAt: { $gt: now },
+        },
+        {
+          refreshTokenHash: next.hash,
+          expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+          lastSeenAt: now,
+          ip: req.ip || '',
+        },
+        { new: true }
+      );
+
+      if (!session) {
+        // A well-formed token for a live session that no longer matches was already
+        // rotated: treat it as stolen and kill the session.
+        const reused = await Session.findOneAndUpdate({ _id: sessionId, revokedAt: null }, { revokedAt: now });
+        if (reused) await audit(req, reused.userId, 'token_reuse_detected', { sessionId });
+        return res.status(401).json({ message: 'Invalid refresh token' });
+      }
+
+      const user = await User.exists({ _id: session.userId });
+      if (!user) return res.status(401).json({ message: 'User not found' });
+      await audit(req, session.userId, 'token_refresh', { sessionId: session._id });
+
+      res.json({ token: signAccessToken(session.userId, session._id), refreshToken: next.token });
+    } catch (err) {
+      sendServerError(res, err, 'Token refresh failed');
+    }
+  }
+);
+
+// POST /api/auth/logout - Revoke the session behind a refresh token
+router.post(
+  '/logout',
+  [body('refreshToken').isString().notEmpty().withMessage('refreshToken is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const sessionId = parseRefreshToken(req.body.refreshToken);
+    if (!sessionId) return res.status(204).send();
+
+    try {
+      const session = await Session.findOneAndUpdate(
+        { _id: sessionId, refreshTokenHash: hashToken(req.body.refreshToken), revokedAt: null },
+        { revokedAt: new Date() }
+      );
+      if (session) await audit(req, session.userId, 'logout', { sessionId });
+      res.status(204).send();
+    } catch (err) {
+      sendServerError(res, err, 'Logout failed');
+    }
+  }
+);
+
+// ============ PASSWORD RESET ============
+
+// POST /api/auth/forgot-password - Email a reset link (same response whether or not the email exists)
+router.post(
+  '/forgot-password',
+  [body('email').isEmail().normalizeEmail().withMessage('Valid email required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const user = await User.findOne({ email: req.body.email });
+      if (user) {
+        // Only the newest link stays valid
+        const token = await createUserToken(user._id, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+        await audit(req, user._id, 'password_reset_requested');
+        await sendMailSafely(
+          passwordResetEmail({ to: user.email, name: user.name, token, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES }),
+          'password reset'
+        );
+      }
+      res.json({ message: 'If that email is registered, a reset link has been sent' });
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// POST /api/auth/reset-password - Set a new password with a reset token; signs out every session
+router.post(
+  '/reset-password',
+  [
+    body('token').isString().notEmpty().withMessage('token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const resetToken = await UserToken.consume('password_reset', hashToken(req.body.token));
+      if (!resetToken) return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+
+      const user = await User.findById(resetToken.userId).select('+password');
+      if (!user) return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+
+      user.password = req.body.password;
+      // Opening the emailed link proves ownership of the address
+      user.emailVerified = true;
+      user.failedLoginCount = 0;
+      user.lockedUntil = null;
+      await user.save();
+      await Session.revokeAllForUser(user._id);
+      await audit(req, user._id, 'password_reset');
+
+      res.json({ message: 'Password has been reset' });
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// ============ ACCOUNT: PASSWORD & EMAIL ============
+
+// PUT /api/auth/password - Change password; every other session is signed out
+router.put(
+  '/password',
+  sessionOnly,
+  [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const user = await User.findById(req.user._id).select('+password');
+      const match = await user.comparePassword(req.body.currentPassword);
+      if (!match) return res.status(400).json({ message: 'Current password is incorrect' });
+
+      user.password = req.body.newPassword;
+      await user.save();
+      const revokedSessions = await Session.revokeAllForUser(user._id, { exceptSessionId: req.authSession._id });
+      await audit(req, user._id, 'password_change', { revokedSessions });
+
+      res.json({ message: 'Password changed', revokedSessions });
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// POST /api/auth/email - Request an email change; confirmed from a link sent to the new address
+router.post(
+  '/email',
+  sessionOnly,
+  [
+    body('newEmail').isEmail().normalizeEmail().withMessage('Valid email required'),
+    body('password').notEmpty().withMessage('Password is required'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const user = await User.findById(req.user._id).select('+password');
+      const match = await user.comparePassword(req.body.password);
+      if (!match) return res.status(400).json({ message: 'Password is incorrect' });
+
+      const { newEmail } = req.body;
+      if (newEmail === user.email) return res.status(400).json({ message: 'That is already your email' });
+      if (await User.exists({ email: newEmail })) {
+        return res.status(400).json({ message: 'Email already registered' });
+      }
+
+      const token = await createUserToken(user._id, 'email_change', EMAIL_TOKEN_TTL_MS, newEmail);
+      await sendMailSafely(emailChangeEmail({ to: newEmail, name: user.name, token }), 'email change');
+      await audit(req, user._id, 'email_change_requested', { newEmail });
+      res.json({ message: 'Check your new inbox to confirm the change' });
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// POST /api/auth/email/confirm - Apply a pending email change
+router.post(
+  '/email/confirm',
+  [body('token').isString().notEmpty().withMessage('token is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const changeToken = await UserToken.consume('email_change', hashToken(req.body.token));
+      if (!changeToken) return res.status(400).json({ message: 'Link is invalid or has expired' });
+
+      const user = await User.findById(changeToken.userId);
+      if (!user) return res.status(400).json({ message: 'Link is invalid or has expired' });
+      if (await User.exists({ email: changeToken.email, _id: { $ne: user._id } })) {
+        return res.status(400).json({ message: 'Email already registered' });
+      }
+
+      const previousEmail = user.email;
+      user.email = changeToken.email;
+      user.emailVerified = true;
+      await user.save();
+      await audit(req, user._id, 'email_change', { previousEmail, newEmail: user.email });
+      res.json({ user: serializeUser(user) });
+    } catch (err) {
+      if (err.code === 11000) return res.status(400).json({ message: 'Email already registered' });
+      sendServerError(res, err);
+    }
+  }
+);
+
+// POST /api/auth/verify-email - Mark the address as verified from the registration link
+router.post(
+  '/verify-email',
+  [body('token').isString().notEmpty().withMessage('token is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const verifyToken = await UserToken.consume('email_verification', hashToken(req.body.token));
+      if (!verifyToken) return res.status(400).json({ message: 'Link is invalid or has expired' });
+
+      // A token issued for a previous address must not verify the current one
+      const user = await User.findOneAndUpdate(
+        { _id: verifyToken.userId, email: verifyToken.email },
+        { emailVerified: true },
+        { new: true }
+      );
+      if (!user) return res.status(400).json({ message: 'Link is invalid or has expired' });
+      await audit(req, user._id, 'email_verified');
+      res.json({ user: serializeUser(user) });
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// POST /api/auth/verify-email/resend - Send a fresh verification link
+router.post('/verify-email/resend', sessionOnly, async (req, res) => {
+  try {
+    if (req.user.emailVerified) return res.status(400).json({ message: 'Email is already verified' });
+    await sendVerificationEmail(req.user);
+    res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// ============ TWO-FACTOR AUTHENTICATION ============
+
+// POST /api/auth/2fa/setup - Start enrollment: returns a new secret and otpauth URI for the QR code
+router.post('/2fa/setup', sessionOnly, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    const secret = generateTotpSecret();
+    await User.updateOne({ _id: req.user._id }, { 'twoFactor.pendingSecret': secret });
+    const issuer = process.env.TOTP_ISSUER || 'Life Tracker';
+    res.json({ secret, otpauthUri: buildOtpauthUri({ secret, accountName: req.user.email, issuer }) });
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// POST /api/auth/2fa/enable - Confirm enrollment with a code; returns recovery codes (shown once)
+router.post(
+  '/2fa/enable',
+  sessionOnly,
+  [body('code').isString().trim().notEmpty().withMessage('code is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const user = await User.findById(req.user._id).select(`${TWO_FACTOR_FIELDS} +twoFactor.pendingSecret`);
+      if (user.twoFactor.enabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+      }
+      if (!user.twoFactor.pendingSecret) {
+        return res.status(400).json({ message: 'Start two-factor setup first' });
+      }
+      const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+      if (step === null) return res.status(400).json({ message: 'Invalid authentication code' });
+
+      user.twoFactor.enabled = true;
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = null;
+      user.twoFactor.lastUsedStep = step;
+      const recoveryCodes = issueRecoveryCodes(user);
+      await user.save();
+      await audit(req, user._id, 'two_factor_enabled');
+
+      res.json({ twoFactorEnabled: true, recoveryCodes });
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// POST /api/auth/2fa/disable - Requires the password and a current code (or recovery code)
+router.post(
+  '/2fa/disable',
+  sessionOnly,
+  [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').isString().trim().notEmpty().withMessage('code is required'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+      }
+      if (!(await user.comparePassword(req.body.password))) {
+        return res.status(400).json({ message: 'Password is incorrect' });
+      }
+      if (!(await user.consumeSecondFactor(req.body.code))) {
+        return res.status(400).json({ message: 'Invalid authentication code' });
+      }
+
+      user.twoFactor.enabled = false;
+      user.twoFactor.secret = null;
+      user.twoFactor.lastUsedStep = -1;
+      user.twoFactor.recoveryCodeHashes = [];
+      await user.save();
+      await audit(req, user._id, 'two_factor_disabled');
+      res.json({ twoFactorEnabled: false });
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// POST /api/auth/2fa/recovery-codes - Replace all recovery codes (requires a current code)
+router.post(
+  '/2fa/recovery-codes',
+  sessionOnly,
+  [body('code').isString().trim().notEmpty().withMessage('code is required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+      }
+      if (!(await user.consumeTotp(req.body.code))) {
+        return res.status(400).json({ message: 'Invalid authentication code' });
+      }
+
+      const recoveryCodes = issueRecoveryCodes(user);
+      await user.save();
+      await audit(req, user._id, 'recovery_codes_regenerated');
+      res.json({ recoveryCodes });
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// ============ SESSIONS ============
+
+function serializeSession(session, currentSessionId) {
+  return {
+    _id: session._id,
+    device: session.device,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    current: session._id.toString() === String(currentSessionId),
+  };
+}
+
+// GET /api/auth/sessions - List active sessions for the current user
+router.get('/sessions', sessionOnly, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+    res.json(sessions.map((s) => serializeSession(s, req.authSession._id)));
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// DELETE /api/auth/sessions - Log out everywhere except the current session
+router.delete('/sessions', sessionOnly, async (req, res) => {
+  try {
+    const revoked = await Session.revokeAllForUser(req.user._id, { exceptSessionId: req.authSession._id });
+    await audit(req, req.user._id, 'session_revoked', { scope: 'others', revoked });
+    res.json({ revoked });
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Revoke a single session (may be the current one)
+router.delete('/sessions/:id', sessionOnly, [param('id').isMongoId()], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const result = await Session.updateOne(
+      { _id: req.params.id, userId: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    if (result.matchedCount === 0) return res.status(404).json({ message: 'Session not found' });
+    await audit(req, req.user._id, 'session_revoked', { sessionId: req.params.id });
+    res.status(204).send();
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// ============ PERSONAL API TOKENS ============
+
+function serializeApiToken(t) {
+  return {
+    _id: t._id,
+    name: t.name,
+    prefix: t.prefix,
+    scopes: t.scopes,
+    expiresAt: t.expiresAt,
+    lastUsedAt: t.lastUsedAt,
+    createdAt: t.createdAt,
+  };
+}
+
+// GET /api/auth/tokens - List personal API tokens (secrets are never returned again)
+router.get('/tokens', sessionOnly, async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ userId: req.user._id }).sort({ createdAt: -1 }).lean();
+    res.json(tokens.map(serializeApiToken));
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// POST /api/auth/tokens - Create a token; the raw value is only in this response
+router.post(
+  '/tokens',
+  sessionOnly,
+  [
+    body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 60 }),
+    body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('scopes.*').isIn(API_TOKEN_SCOPES).withMessage('Invalid scope'),
+    body('expiresAt').optional({ values: 'null' }).isISO8601(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+      if (expiresAt && expiresAt <= new Date()) {
+        return res.status(400).json({ message: 'expiresAt must be in the future' });
+      }
+      const { token, hash, prefix } = generateApiToken();
+      const apiToken = await ApiToken.create({
+        userId: req.user._id,
+        name: req.body.name.trim(),
+        tokenHash: hash,
+        prefix,
+        scopes: [...new Set(req.body.scopes)],
+        expiresAt,
+      });
+      await audit(req, req.user._id, 'api_token_created', { tokenId: apiToken._id, scopes: apiToken.scopes });
+      res.status(201).json({ ...serializeApiToken(apiToken), token });
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// DELETE /api/auth/tokens/:id - Revoke a token
+router.delete('/tokens/:id', sessionOnly, [param('id').isMongoId()], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const result = await ApiToken.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    if (!result) return res.status(404).json({ message: 'Token not found' });
+    await audit(req, req.user._id, 'api_token_revoked', { tokenId: result._id, name: result.name });
+    res.status(204).send();
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// ============ AUDIT LOG ============
+
+// GET /api/auth/audit - Authentication history for the current user, newest first
+router.get(
+  '/audit',
+  sessionOnly,
+  [
+    query('type').optional().isIn(AUTH_EVENT_TYPES),
+    query('before').optional().isISO8601(),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const filter = { userId: req.user._id };
+      if (req.query.type) filter.type = req.query.type;
+      if (req.query.before) filter.createdAt = { $lt: new Date(req.query.before) };
+      const limit = parseInt(req.query.limit) || 50;
+
+      const events = await AuthEvent.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+      res.json(events);
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
 export default router;
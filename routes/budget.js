@@ -1,52 +1,17 @@
 import express from 'express';
 import { body, query, validationResult } from 'express-validator';
-import { protect } from '../middleware/auth.js';
+import { protect, requireScope } from '../middleware/auth.js';
 import BudgetCategory from '../models/BudgetCategory.js';
 import Transaction from '../models/Transaction.js';
 import { sendServerError } from '../utils/apiResponse.js';
+import { addDays, dayRangeFilter, monthRange, periodRange, toRequestDay, today, userTimeZone } from '../utils/dates.js';
 
 const router = express.Router();
-router.use(protect);
+router.use(protect, requireScope('budget'));
 
-// Helper to normalize date to start of day (UTC)
-function normalizeDate(date) {
-  const d = new Date(date);
-  // Use UTC methods to avoid timezone issues
-  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0, 0));
-}
-
-// Helper to get start and end dates for period
-function getPeriodDates(period) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  let startDate, endDate;
-
-  switch (period) {
-    case 'week':
-      const dayOfWeek = today.getDay();
-      startDate = new Date(today);
-      startDate.setDate(today.getDate() - dayOfWeek);
-      endDate = new Date(startDate);
-      endDate.setDate(startDate.getDate() + 6);
-      endDate.setHours(23, 59, 59, 999);
-      break;
-    case 'month':
-      startDate = new Date(today.getFullYear(), today.getMonth(), 1);
-      endDate = new Date(today.getFullYear(), today.getMonth() + 1, 0);
-      endDate.setHours(23, 59, 59, 999);
-      break;
-    case 'year':
-      startDate = new Date(today.getFullYear(), 0, 1);
-      endDate = new Date(today.getFullYear(), 11, 31);
-      endDate.setHours(23, 59, 59, 999);
-      break;
-    default:
-      startDate = new Date(today.getFullYear(), today.getMonth(), 1);
-      endDate = new Date(today.getFullYear(), today.getMonth() + 1, 0);
-      endDate.setHours(23, 59, 59, 999);
-  }
-
-  return { startDate, endDate };
+// Helper to get start and end days of the current week/month/year in the user's timezone
+function getPeriodDates(period, user) {
+  return periodRange(period, today(userTimeZone(user)), user.settings?.weekStart ?? 0);
 }
 
 // ============ BUDGET CATEGORIES ============
@@ -191,15 +156,13 @@ router.get(
       if (req.query.categoryId) filter.categoryId = req.query.categoryId;
       
       if (req.query.from || req.query.to) {
+        const tz = userTimeZone(req.user);
         filter.date = {};
         if (req.query.from) {
-          const fromDate = normalizeDate(req.query.from);
-          filter.date.$gte = fromDate;
+          filter.date.$gte = toRequestDay(req.query.from, tz);
         }
         if (req.query.to) {
-          const toDate = normalizeDate(req.query.to);
-          toDate.setHours(23, 59, 59, 999);
-          filter.date.$lte = toDate;
+          filter.date.$lt = addDays(toRequestDay(req.query.to, tz), 1);
         }
       }
 
@@ -249,7 +212,7 @@ router.post(
 
       const transaction = await Transaction.create({
         userId: req.user._id,
-        date: normalizeDate(date),
+        date: toRequestDay(date, userTimeZone(req.user)),
         type,
         categoryId,
         amount: parseFloat(amount),
@@ -283,7 +246,7 @@ router.put(
       const transaction = await Transaction.findOne({ _id: req.params.id, userId: req.user._id });
       if (!transaction) return res.status(404).json({ message: 'Transaction not found' });
 
-      if (req.body.date !== undefined) transaction.date = normalizeDate(req.body.date);
+      if (req.body.date !== undefined) transaction.date = toRequestDay(req.body.date, userTimeZone(req.user));
       if (req.body.amount !== undefined) transaction.amount = parseFloat(req.body.amount);
       if (req.body.description !== undefined) transaction.description = req.body.description.trim();
       if (req.body.notes !== undefined) transaction.notes = req.body.notes.trim();
@@ -343,12 +306,12 @@ router.get(
       let startDate, endDate;
 
       if (req.query.period === 'custom' && req.query.from && req.query.to) {
-        startDate = normalizeDate(req.query.from);
-        endDate = normalizeDate(req.query.to);
-        endDate.setHours(23, 59, 59, 999);
+        const tz = userTimeZone(req.user);
+        startDate = toRequestDay(req.query.from, tz);
+        endDate = toRequestDay(req.query.to, tz);
       } else {
         const period = req.query.period || 'month';
-        const dates = getPeriodDates(period);
+        const dates = getPeriodDates(period, req.user);
         startDate = dates.startDate;
         endDate = dates.endDate;
       }
@@ -356,7 +319,7 @@ router.get(
       // Get all transactions in date range
       const transactions = await Transaction.find({
         userId: req.user._id,
-        date: { $gte: startDate, $lte: endDate },
+        date: dayRangeFilter(startDate, endDate),
       })
         .populate('categoryId', 'name icon color type budgetLimit')
         .lean();
@@ -416,6 +379,7 @@ router.get(
         period: req.query.period || 'month',
         startDate,
         endDate,
+        currency: req.user.settings?.currency || 'USD',
         totalIncome,
         totalExpenses,
         net,
@@ -437,17 +401,16 @@ router.get(
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
     try {
-      const year = parseInt(req.query.year) || new Date().getFullYear();
+      const year = parseInt(req.query.year) || today(userTimeZone(req.user)).getUTCFullYear();
+      const monthFormat = new Intl.DateTimeFormat(req.user.settings?.locale || 'en-US', { month: 'long', timeZone: 'UTC' });
       const months = [];
 
       for (let month = 0; month < 12; month++) {
-        const startDate = new Date(year, month, 1);
-        const endDate = new Date(year, month + 1, 0);
-        endDate.setHours(23, 59, 59, 999);
+        const { startDate, endDate } = monthRange(year, month);
 
         const transactions = await Transaction.find({
           userId: req.user._id,
-          date: { $gte: startDate, $lte: endDate },
+          date: dayRangeFilter(startDate, endDate),
         }).lean();
 
         let totalIncome = 0;
@@ -463,7 +426,7 @@ router.get(
 
         months.push({
           month: month + 1,
-          monthName: new Date(year, month, 1).toLocaleString('default', { month: 'long' }),
+          monthName: monthFormat.format(startDate),
           totalIncome,
           totalExpenses,
           net: totalIncome - totalExpenses,
@@ -0,0 +1,110 @@
+import express from 'express';
+import { param, validationResult } from 'express-validator';
+import { protect, requireScope } from '../middleware/auth.js';
+import { rolloverOnNewDay } from '../middleware/taskRollover.js';
+import Activity from '../models/Activity.js';
+import Habit from '../models/Habit.js';
+import HabitEntry from '../models/HabitEntry.js';
+import PrayerEntry, { PRAYER_TYPES } from '../models/PrayerEntry.js';
+import Transaction from '../models/Transaction.js';
+import Note from '../models/Note.js';
+import { addDays, dayKey, dayRangeFilter, localMidnight, toRequestDay, userTimeZone } from '../utils/dates.js';
+import { sendServerError } from '../utils/apiResponse.js';
+import { findTasksForDay } from '../utils/taskOccurrences.js';
+
+// The day view reads every tracker, so API tokens need each of their read scopes
+const router = express.Router();
+router.use(
+  protect,
+  requireScope('activities'),
+  requireScope('tasks'),
+  requireScope('habits'),
+  requireScope('prayers'),
+  requireScope('budget'),
+  requireScope('notes'),
+  rolloverOnNewDay
+);
+
+// GET /api/days/:date - Everything logged on one local day (the dashboard's day view)
+router.get('/:date', [param('date').isISO8601().withMessage('Valid date is required')], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const userId = req.user._id;
+    const tz = userTimeZone(req.user);
+    const day = toRequestDay(req.params.date, tz);
+    const range = dayRangeFilter(day, day);
+    // Notes carry timestamps rather than day values, so bound them by the local day's instants
+    const noteRange = { $gte: localMidnight(day, tz), $lt: localMidnight(addDays(day, 1), tz) };
+
+    const [activities, tasks, habits, habitEntries, prayerEntries, transactions, notes] = await Promise.all([
+      Activity.find({ userId, date: range }).sort({ startedAt: 1, createdAt: 1 }).lean(),
+      findTasksForDay(userId, day, tz),
+      Habit.find({ userId, isActive: true }).sort({ order: 1 }).lean(),
+      HabitEntry.find({ userId, date: range }).lean(),
+      PrayerEntry.find({ userId, date: range }).lean(),
+      Transaction.find({ userId, date: range })
+        .populate('categoryId', 'name icon color type')
+        .sort({ createdAt: -1 })
+        .lean(),
+      Note.find({ userId, archived: false, $or: [{ createdAt: noteRange }, { updatedAt: noteRange }] })
+        .select('-blocks -searchText')
+        .sort({ updatedAt: -1 })
+        .lean(),
+    ]);
+
+    const doneHabits = new Set(habitEntries.filter((e) => e.completed).map((e) => e.habitId.toString()));
+    const habitStatuses = {};
+    habits.forEach((h) => {
+      habitStatuses[h._id.toString()] = doneHabits.has(h._id.toString());
+    });
+    const habitsDone = habits.filter((h) => doneHabits.has(h._id.toString())).length;
+    const habitPercentage = habits.length ? Math.round((habitsDone / habits.length) * 100) : 0;
+
+    const prayed = new Set(prayerEntries.filter((e) => e.prayed).map((e) => e.prayerType));
+    const prayerStatuses = {};
+    PRAYER_TYPES.forEach((p) => {
+      prayerStatuses[p] = prayed.has(p);
+    });
+
+    const income = transactions.filter((t) => t.type === 'income').reduce((sum, t) => sum + t.amount, 0);
+    const expense = transactions.filter((t) => t.type === 'expense').reduce((sum, t) => sum + t.amount, 0);
+
+    res.json({
+      date: dayKey(day),
+      activities,
+      tasks,
+      habits: {
+        habits,
+        entries: habitEntries,
+        summary: {
+          completedCount: habitsDone,
+          totalHabits: habits.length,
+          percentage: habitPercentage,
+          isSuccessDay: habits.length > 0 && habitPercentage >= 75,
+          habitStatuses,
+        },
+      },
+      prayers: {
+        entries: prayerEntries,
+        summary: {
+          completedCount: prayed.size,
+          totalPrayers: PRAYER_TYPES.length,
+          percentage: Math.round((prayed.size / PRAYER_TYPES.length) * 100),
+          isSuccessDay: prayed.size === PRAYER_TYPES.length,
+          prayerStatuses,
+        },
+      },
+      transactions: {
+        items: transactions,
+        totals: { income, expense, net: income - expense },
+      },
+      notes,
+    });
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+export default router;
@@ -1,13 +1,15 @@
 import express from 'express';
 import { body, query, validationResult } from 'express-validator';
-import { protect } from '../middleware/auth.js';
+import { protect, requireScope } from '../middleware/auth.js';
 import Habit from '../models/Habit.js';
 import HabitEntry from '../models/HabitEntry.js';
 import Streak from '../models/Streak.js';
 import { sendServerError } from '../utils/apiResponse.js';
+import { addDays, dayKey, dayRangeFilter, eachDay, monthRange, toRequestDay, today, userTimeZone } from '../utils/dates.js';
+import { streakStats } from '../utils/streaks.js';
 
 const router = express.Router();
-router.use(protect);
+router.use(protect, requireScope('habits'));
 
 // Middleware to prevent caching for GET requests
 router.use((req, res, next) => {
@@ -19,24 +21,6 @@ router.use((req, res, next) => {
   next();
 });
 
-// Helper to normalize date to start of day (UTC)
-function normalizeDate(date) {
-  const d = new Date(date);
-  // Use UTC methods to avoid timezone issues
-  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0, 0));
-}
-
-// Helper to get all dates between two dates
-function getDatesBetween(startDate, endDate) {
-  const dates = [];
-  const current = new Date(startDate);
-  while (current <= endDate) {
-    dates.push(new Date(current));
-    current.setDate(current.getDate() + 1);
-  }
-  return dates;
-}
-
 // ============ HABITS CRUD ============
 
 // GET /api/habits - List all habits for user
@@ -168,13 +152,13 @@ router.get(
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
     try {
-      const startDate = normalizeDate(req.query.startDate);
-      const endDate = normalizeDate(req.query.endDate);
-      endDate.setHours(23, 59, 59, 999);
+      const tz = userTimeZone(req.user);
+      const startDate = toRequestDay(req.query.startDate, tz);
+      const endDate = toRequestDay(req.query.endDate, tz);
 
       const entries = await HabitEntry.find({
         userId: req.user._id,
-        date: { $gte: startDate, $lte: endDate },
+        date: dayRangeFilter(startDate, endDate),
       }).lean();
 
       res.json(entries);
@@ -197,7 +181,7 @@ router.post(
 
     try {
       const { habitId, date } = req.body;
-      const normalizedDate = normalizeDate(date);
+      const normalizedDate = toRequestDay(date, userTimeZone(req.user));
 
       // Verify habit belongs to user
       const habit = await Habit.findOne({ _id: habitId, userId: req.user._id });
@@ -244,8 +228,9 @@ router.get(
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
     try {
-      const startDate = normalizeDate(req.query.startDate);
-      const endDate = normalizeDate(req.query.endDate);
+      const tz = userTimeZone(req.user);
+      const startDate = toRequestDay(req.query.startDate, tz);
+      const endDate = toRequestDay(req.query.endDate, tz);
 
       // Get all active habits
       const habits = await Habit.find({ userId: req.user._id, isActive: true }).sort({ order: 1 }).lean();
@@ -256,30 +241,25 @@ router.get(
       }
 
       // Get entries for date range
-      const endDateQuery = new Date(endDate);
-      endDateQuery.setHours(23, 59, 59, 999);
-      
       const entries = await HabitEntry.find({
         userId: req.user._id,
-        date: { $gte: startDate, $lte: endDateQuery },
+        date: dayRangeFilter(startDate, endDate),
       }).lean();
 
       // Build entry lookup map
       const entryMap = new Map();
       entries.forEach((e) => {
-        const key = `${e.habitId.toString()}_${normalizeDate(e.date).toISOString()}`;
+        const key = `${e.habitId.toString()}_${dayKey(e.date)}`;
         entryMap.set(key, e);
       });
 
       // Calculate daily stats
-      const dates = getDatesBetween(startDate, endDate);
-      const days = dates.map((date) => {
-        const normalizedDate = normalizeDate(date);
+      const days = eachDay(startDate, endDate).map((normalizedDate) => {
         let completedCount = 0;
         const habitStatuses = {};
 
         habits.forEach((habit) => {
-          const key = `${habit._id.toString()}_${normalizedDate.toISOString()}`;
+          const key = `${habit._id.toString()}_${dayKey(normalizedDate)}`;
           const completed = entryMap.has(key);
           habitStatuses[habit._id.toString()] = completed;
           if (completed) completedCount++;
@@ -323,17 +303,15 @@ router.get(
       }
 
       const months = [];
+      const todayDate = today(userTimeZone(req.user));
 
       for (let month = 0; month < 12; month++) {
-        const startDate = new Date(year, month, 1);
-        const endDate = new Date(year, month + 1, 0); // Last day of month
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        const { startDate, endDate } = monthRange(year, month);
 
         // Don't count future days
-        const effectiveEndDate = endDate > today ? today : endDate;
+        const effectiveEndDate = endDate > todayDate ? todayDate : endDate;
         
-        if (startDate > today) {
+        if (startDate > todayDate) {
           // Future month
           months.push({ month: month + 1, successDays: 0, totalDays: 0, percentage: 0 });
           continue;
@@ -341,13 +319,13 @@ router.get(
 
         const entries = await HabitEntry.find({
           userId: req.user._id,
-          date: { $gte: startDate, $lte: effectiveEndDate },
+          date: dayRangeFilter(startDate, effectiveEndDate),
         }).lean();
 
         // Group entries by date
         const entriesByDate = new Map();
         entries.forEach((e) => {
-          const dateKey = normalizeDate(e.date).toISOString();
+          const dateKey = dayKey(e.date);
           if (!entriesByDate.has(dateKey)) {
             entriesByDate.set(dateKey, new Set());
           }
@@ -356,10 +334,10 @@ router.get(
 
         // Count success days
         let successDays = 0;
-        const dates = getDatesBetween(startDate, effectiveEndDate);
+        const dates = eachDay(startDate, effectiveEndDate);
         
         dates.forEach((date) => {
-          const dateKey = normalizeDate(date).toISOString();
+          const dateKey = dayKey(date);
           const completedHabits = entriesByDate.get(dateKey)?.size || 0;
           const percentage = (completedHabits / totalHabits) * 100;
           if (percentage >= 75) successDays++;
@@ -394,9 +372,8 @@ router.get('/stats/streak', async (req, res) => {
     }
 
     // Get all entries (last 400 days should be enough)
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - 400);
-    startDate.setHours(0, 0, 0, 0);
+    const todayDate = today(userTimeZone(req.user));
+    const startDate = addDays(todayDate, -400);
 
     const entries = await HabitEntry.find({
       userId: req.user._id,
@@ -406,50 +383,19 @@ router.get('/stats/streak', async (req, res) => {
     // Group entries by date
     const entriesByDate = new Map();
     entries.forEach((e) => {
-      const dateKey = normalizeDate(e.date).toISOString();
+      const dateKey = dayKey(e.date);
       if (!entriesByDate.has(dateKey)) {
         entriesByDate.set(dateKey, new Set());
       }
       entriesByDate.get(dateKey).add(e.habitId.toString());
     });
 
-    // Calculate streaks
-    let currentStreak = 0;
-    let longestStreak = 0;
-    let tempStreak = 0;
-
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    // Check from today backwards
-    const checkDate = new Date(today);
-    let streakBroken = false;
-
-    for (let i = 0; i < 400; i++) {
-      const dateKey = normalizeDate(checkDate).toISOString();
-      const completedHabits = entriesByDate.get(dateKey)?.size || 0;
-      const percentage = (completedHabits / totalHabits) * 100;
-      const isSuccess = percentage >= 75;
-
-      if (isSuccess) {
-        tempStreak++;
-        if (!streakBroken) {
-          currentStreak++;
-        }
-      } else {
-        streakBroken = true;
-        if (tempStreak > longestStreak) {
-          longestStreak = tempStreak;
-        }
-        tempStreak = 0;
-      }
-
-      checkDate.setDate(checkDate.getDate() - 1);
-    }
-
-    if (tempStreak > longestStreak) {
-      longestStreak = tempStreak;
-    }
+    // Success = at least 75% of active habits done that day
+    const { currentStreak, longestStreak } = streakStats(
+      (key) => ((entriesByDate.get(key)?.size || 0) / totalHabits) * 100 >= 75,
+      todayDate,
+      400
+    );
 
     // Get achieved milestones
     const milestones = await Streak.find({ userId: req.user._id }).sort({ milestone: 1 }).lean();
@@ -474,9 +420,8 @@ router.get('/stats/habit-streaks', async (req, res) => {
     }
 
     // Get all entries (last 400 days should be enough)
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - 400);
-    startDate.setHours(0, 0, 0, 0);
+    const todayDate = today(userTimeZone(req.user));
+    const startDate = addDays(todayDate, -400);
 
     const entries = await HabitEntry.find({
       userId: req.user._id,
@@ -491,15 +436,12 @@ router.get('/stats/habit-streaks', async (req, res) => {
 
     entries.forEach((e) => {
       const habitId = e.habitId.toString();
-      const dateKey = normalizeDate(e.date).toISOString();
+      const dateKey = dayKey(e.date);
       if (entriesByHabitAndDate.has(habitId)) {
         entriesByHabitAndDate.get(habitId).add(dateKey);
       }
     });
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
     const habitStreaks = {};
 
     // Calculate streaks for each habit
@@ -507,37 +449,7 @@ router.get('/stats/habit-streaks', async (req, res) => {
       const habitId = habit._id.toString();
       const completedDates = entriesByHabitAndDate.get(habitId) || new Set();
 
-      let currentStreak = 0;
-      let longestStreak = 0;
-      let tempStreak = 0;
-
-      const checkDate = new Date(today);
-      let streakBroken = false;
-
-      // Check from today backwards
-      for (let i = 0; i < 400; i++) {
-        const dateKey = normalizeDate(checkDate).toISOString();
-        const isCompleted = completedDates.has(dateKey);
-
-        if (isCompleted) {
-          tempStreak++;
-          if (!streakBroken) {
-            currentStreak++;
-          }
-        } else {
-          streakBroken = true;
-          if (tempStreak > longestStreak) {
-            longestStreak = tempStreak;
-          }
-          tempStreak = 0;
-        }
-
-        checkDate.setDate(checkDate.getDate() - 1);
-      }
-
-      if (tempStreak > longestStreak) {
-        longestStreak = tempStreak;
-      }
+      const { currentStreak, longestStreak } = streakStats((key) => completedDates.has(key), todayDate, 400);
 
       habitStreaks[habitId] = {
         currentStreak,
@@ -0,0 +1,154 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { protect, requireScope } from '../middleware/auth.js';
+import Activity from '../models/Activity.js';
+import ActivityCategory from '../models/ActivityCategory.js';
+import Habit from '../models/Habit.js';
+import HabitEntry from '../models/HabitEntry.js';
+import PrayerEntry, { PRAYER_TYPES } from '../models/PrayerEntry.js';
+import { numericValue } from '../utils/activityStats.js';
+import { DEFAULT_MIN_SAMPLES, computeCorrelations } from '../utils/correlation.js';
+import { addDays, dayKey, dayRangeFilter, diffDays, eachDay, toLocalDay, toRequestDay, today, userTimeZone } from '../utils/dates.js';
+import { sendServerError } from '../utils/apiResponse.js';
+
+// Insights read activities, habits and prayers, so API tokens need all three read scopes
+const router = express.Router();
+router.use(protect, requireScope('activities'), requireScope('habits'), requireScope('prayers'));
+
+const DEFAULT_DAYS = 90;
+const MAX_DAYS = 366;
+const MAX_LAG = 7;
+// Categories whose values are not numbers cannot be correlated
+const NUMERIC_VALUE_TYPES = ['number', 'scale', 'boolean', 'duration'];
+
+// Daily 0/1 completion from `start` (when tracking began) through `end`; missing days count as not done
+function completionSeries(doneKeys, start, end) {
+  const values = new Map();
+  if (start > end) return values;
+  for (const day of eachDay(start, end)) {
+    const key = dayKey(day);
+    values.set(key, doneKeys.has(key) ? 1 : 0);
+  }
+  return values;
+}
+
+// Share of the given series completed per day, over days where at least one series has a value
+function rateSeries(series) {
+  const totals = new Map();
+  for (const values of series) {
+    for (const [key, v] of values) {
+      const t = totals.get(key) || { done: 0, count: 0 };
+      t.done += v;
+      t.count += 1;
+      totals.set(key, t);
+    }
+  }
+  return new Map([...totals].map(([key, t]) => [key, t.done / t.count]));
+}
+
+// GET /api/insights/correlations - Pairwise correlations between daily metrics, with lag
+// (e.g. sleep on day d vs mood on day d + 1), sample size and a significance flag
+router.get(
+  '/correlations',
+  [
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('maxLag').optional().isInt({ min: 0, max: MAX_LAG }).toInt(),
+    query('minSamples').optional().isInt({ min: 4, max: MAX_DAYS }).toInt(),
+    query('significantOnly').optional().isBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const userId = req.user._id;
+      const tz = userTimeZone(req.user);
+      const now = today(tz);
+      const to = req.query.to ? toRequestDay(req.query.to, tz) : now;
+      const from = req.query.from ? toRequestDay(req.query.from, tz) : addDays(to, -(DEFAULT_DAYS - 1));
+      const length = diffDays(from, to) + 1;
+      if (length < 1) return res.status(400).json({ message: 'from must not be after to' });
+      if (length > MAX_DAYS) return res.status(400).json({ message: `Range is limited to ${MAX_DAYS} days` });
+      const maxLag = req.query.maxLag ?? 1;
+      const minSamples = req.query.minSamples ?? DEFAULT_MIN_SAMPLES;
+
+      // Lagged metrics are read up to maxLag days after `to` (never past today)
+      const seriesEnd = new Date(Math.min(addDays(to, maxLag).getTime(), Math.max(now.getTime(), to.getTime())));
+      const range = dayRangeFilter(from, seriesEnd);
+
+      await ActivityCategory.ensureDefaults(userId);
+      const [categories, activities, habits, habitEntries, prayerEntries, firstPrayer] = await Promise.all([
+        ActivityCategory.find({ userId, valueType: { $in: NUMERIC_VALUE_TYPES } }).lean(),
+        Activity.find({ userId, date: range }).select('date category value').lean(),
+        Habit.find({ userId, isActive: true }).sort({ order: 1 }).lean(),
+        HabitEntry.find({ userId, date: range, completed: true }).select('habitId date').lean(),
+        PrayerEntry.find({ userId, date: range, prayed: true }).select('prayerType date').lean(),
+        PrayerEntry.findOne({ userId }).sort({ date: 1 }).select('date').lean(),
+      ]);
+
+      const metrics = [];
+
+      // Timer sessions can log several entries a day: durations add up, other values average
+      const dailyTotals = new Map(categories.map((c) => [c.key, new Map()]));
+      for (const a of activities) {
+        const n = numericValue(a.value);
+        const days = dailyTotals.get(a.category);
+        if (n === null || !days) continue;
+        const t = days.get(dayKey(a.date)) || { sum: 0, count: 0 };
+        t.sum += n;
+        t.count += 1;
+        days.set(dayKey(a.date), t);
+      }
+      for (const c of categories) {
+        const days = dailyTotals.get(c.key);
+        if (days.size === 0) continue;
+        const values = new Map(
+          [...days].map(([key, t]) => [key, c.valueType === 'duration' ? t.sum : t.sum / t.count])
+        );
+        metrics.push({ id: `activity:${c.key}`, label: c.name, values });
+      }
+
+      const habitSeries = habits.map((h) => {
+        const done = new Set(habitEntries.filter((e) => String(e.habitId) === String(h._id)).map((e) => dayKey(e.date)));
+        const start = new Date(Math.max(from.getTime(), toLocalDay(h.createdAt, tz).getTime()));
+        return { habit: h, values: completionSeries(done, start, seriesEnd) };
+      });
+      for (const { habit, values } of habitSeries) {
+        metrics.push({ id: `habit:${habit._id}`, label: habit.name, group: 'habits', values });
+      }
+      if (habitSeries.length > 1) {
+        metrics.push({ id: 'habits', label: 'Habit completion rate', values: rateSeries(habitSeries.map((s) => s.values)) });
+      }
+
+      if (firstPrayer) {
+        const start = new Date(Math.max(from.getTime(), firstPrayer.date.getTime()));
+        const prayerSeries = PRAYER_TYPES.map((type) => {
+          const done = new Set(prayerEntries.filter((e) => e.prayerType === type).map((e) => dayKey(e.date)));
+          return { type, values: completionSeries(done, start, seriesEnd) };
+        });
+        for (const { type, values } of prayerSeries) {
+          metrics.push({ id: `prayer:${type}`, label: type.charAt(0).toUpperCase() + type.slice(1), group: 'prayers', values });
+        }
+        metrics.push({ id: 'prayers', label: 'Prayer completion rate', values: rateSeries(prayerSeries.map((s) => s.values)) });
+      }
+
+      let correlations = computeCorrelations(metrics, { days: eachDay(from, to), maxLag, minSamples });
+      if (req.query.significantOnly === 'true') correlations = correlations.filter((c) => c.significant);
+
+      res.json({
+        from: dayKey(from),
+        to: dayKey(to),
+        maxLag,
+        minSamples,
+        metrics: metrics.map((m) => ({ id: m.id, label: m.label, days: m.values.size })),
+        correlations: correlations.slice(0, req.query.limit ?? 50),
+      });
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 import { body, query, param, validationResult } from 'express-validator';
-import { protect } from '../middleware/auth.js';
+import { protect, requireScope } from '../middleware/auth.js';
 import Note from '../models/Note.js';
 import NoteCategory from '../models/NoteCategory.js';
 import Project from '../models/Project.js';
@@ -14,7 +14,7 @@ import {
 import { sendServerError } from '../utils/apiResponse.js';
 
 const router = express.Router();
-router.use(protect);
+router.use(protect, requireScope('notes'));
 
 function blocksBodyValidator(field = 'blocks') {
   return body(field).optional().custom((value) => {
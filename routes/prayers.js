@@ -1,11 +1,12 @@
 import express from 'express';
 import { body, query, validationResult } from 'express-validator';
-import { protect } from '../middleware/auth.js';
+import { protect, requireScope } from '../middleware/auth.js';
 import PrayerEntry, { PRAYER_TYPES } from '../models/PrayerEntry.js';
 import { sendServerError } from '../utils/apiResponse.js';
+import { addDays, dayKey, dayRangeFilter, eachDay, monthRange, toRequestDay, today, userTimeZone } from '../utils/dates.js';
 
 const router = express.Router();
-router.use(protect);
+router.use(protect, requireScope('prayers'));
 
 // Middleware to prevent caching for GET requests
 router.use((req, res, next) => {
@@ -17,23 +18,6 @@ router.use((req, res, next) => {
   next();
 });
 
-// Helper to normalize date to start of day (UTC)
-function normalizeDate(date) {
-  const d = new Date(date);
-  // Use UTC methods to avoid timezone issues
-  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0, 0));
-}
-
-function getDatesBetween(startDate, endDate) {
-  const dates = [];
-  const current = new Date(startDate);
-  while (current <= endDate) {
-    dates.push(new Date(current));
-    current.setDate(current.getDate() + 1);
-  }
-  return dates;
-}
-
 // GET /api/prayers/entries - Get prayer entries for date range
 router.get(
   '/entries',
@@ -46,13 +30,13 @@ router.get(
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
     try {
-      const startDate = normalizeDate(req.query.startDate);
-      const endDate = normalizeDate(req.query.endDate);
-      endDate.setHours(23, 59, 59, 999);
+      const tz = userTimeZone(req.user);
+      const startDate = toRequestDay(req.query.startDate, tz);
+      const endDate = toRequestDay(req.query.endDate, tz);
 
       const entries = await PrayerEntry.find({
         userId: req.user._id,
-        date: { $gte: startDate, $lte: endDate },
+        date: dayRangeFilter(startDate, endDate),
         prayed: true,
       }).lean();
 
@@ -76,7 +60,7 @@ router.post(
 
     try {
       const { prayerType, date } = req.body;
-      const normalizedDate = normalizeDate(date);
+      const normalizedDate = toRequestDay(date, userTimeZone(req.user));
 
       const existing = await PrayerEntry.findOne({
         userId: req.user._id,
@@ -120,29 +104,27 @@ router.get(
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
     try {
-      const startDate = normalizeDate(req.query.startDate);
-      const endDate = normalizeDate(req.query.endDate);
-      const endDateQuery = new Date(endDate);
-      endDateQuery.setHours(23, 59, 59, 999);
+      const tz = userTimeZone(req.user);
+      const startDate = toRequestDay(req.query.startDate, tz);
+      const endDate = toRequestDay(req.query.endDate, tz);
 
       const entries = await PrayerEntry.find({
         userId: req.user._id,
-        date: { $gte: startDate, $lte: endDateQuery },
+        date: dayRangeFilter(startDate, endDate),
         prayed: true,
       }).lean();
 
       const entriesByDate = new Map();
       entries.forEach((e) => {
-        const dateKey = normalizeDate(e.date).toISOString();
+        const dateKey = dayKey(e.date);
         if (!entriesByDate.has(dateKey)) {
           entriesByDate.set(dateKey, new Set());
         }
         entriesByDate.get(dateKey).add(e.prayerType);
       });
 
-      const dates = getDatesBetween(startDate, endDate);
-      const days = dates.map((date) => {
-        const dateKey = normalizeDate(date).toISOString();
+      const days = eachDay(startDate, endDate).map((date) => {
+        const dateKey = dayKey(date);
         const prayed = entriesByDate.get(dateKey) || new Set();
         const prayerStatuses = {};
         PRAYER_TYPES.forEach((p) => {
@@ -151,7 +133,7 @@ router.get(
         const completedCount = prayed.size;
 
         return {
-          date: new Date(dateKey),
+          date,
           completedCount,
           totalPrayers: 5,
           percentage: Math.round((completedCount / 5) * 100),
@@ -170,9 +152,8 @@ router.get(
 // GET /api/prayers/stats/streak - Get streak info
 router.get('/stats/streak', async (req, res) => {
   try {
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - 400);
-    startDate.setHours(0, 0, 0, 0);
+    const todayDate = today(userTimeZone(req.user));
+    const startDate = addDays(todayDate, -400);
 
     const entries = await PrayerEntry.find({
       userId: req.user._id,
@@ -182,7 +163,7 @@ router.get('/stats/streak', async (req, res) => {
 
     const entriesByDate = new Map();
     entries.forEach((e) => {
-      const dateKey = normalizeDate(e.date).toISOString();
+      const dateKey = dayKey(e.date);
       if (!entriesByDate.has(dateKey)) {
         entriesByDate.set(dateKey, new Set());
       }
@@ -193,14 +174,11 @@ router.get('/stats/streak', async (req, res) => {
     let longestStreak = 0;
     let tempStreak = 0;
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    const checkDate = new Date(today);
+    let checkDate = todayDate;
     let streakBroken = false;
 
     for (let i = 0; i < 400; i++) {
-      const dateKey = normalizeDate(checkDate).toISOString();
+      const dateKey = dayKey(checkDate);
       const prayed = entriesByDate.get(dateKey)?.size || 0;
       const isSuccess = prayed === 5;
 
@@ -217,7 +195,7 @@ router.get('/stats/streak', async (req, res) => {
         tempStreak = 0;
       }
 
-      checkDate.setDate(checkDate.getDate() - 1);
+      checkDate = addDays(checkDate, -1);
     }
 
     if (tempStreak > longestStreak) {
@@ -247,29 +225,27 @@ router.get(
     try {
       const year = parseInt(req.query.year);
       const months = [];
+      const todayDate = today(userTimeZone(req.user));
 
       for (let month = 0; month < 12; month++) {
-        const startDate = new Date(year, month, 1);
-        const endDate = new Date(year, month + 1, 0);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        const { startDate, endDate } = monthRange(year, month);
 
-        const effectiveEndDate = endDate > today ? today : endDate;
+        const effectiveEndDate = endDate > todayDate ? todayDate : endDate;
 
-        if (startDate > today) {
+        if (startDate > todayDate) {
           months.push({ month: month + 1, successDays: 0, totalDays: 0, percentage: 0 });
           continue;
         }
 
         const entries = await PrayerEntry.find({
           userId: req.user._id,
-          date: { $gte: startDate, $lte: effectiveEndDate },
+          date: dayRangeFilter(startDate, effectiveEndDate),
           prayed: true,
         }).lean();
 
         const entriesByDate = new Map();
         entries.forEach((e) => {
-          const dateKey = normalizeDate(e.date).toISOString();
+          const dateKey = dayKey(e.date);
           if (!entriesByDate.has(dateKey)) {
             entriesByDate.set(dateKey, new Set());
           }
@@ -277,10 +253,10 @@ router.get(
         });
 
         let successDays = 0;
-        const dates = getDatesBetween(startDate, effectiveEndDate);
+        const dates = eachDay(startDate, effectiveEndDate);
 
         dates.forEach((date) => {
-          const dateKey = normalizeDate(date).toISOString();
+          const dateKey = dayKey(date);
           const prayed = entriesByDate.get(dateKey)?.size || 0;
           if (prayed === 5) successDays++;
         });
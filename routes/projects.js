@@ -1,11 +1,14 @@
 import express from 'express';
 import { body, query, param, validationResult } from 'express-validator';
-import { protect } from '../middleware/auth.js';
+import { protect, requireScope } from '../middleware/auth.js';
 import Project from '../models/Project.js';
 import Task from '../models/Task.js';
+import TaskCompletion from '../models/TaskCompletion.js';
 import Note from '../models/Note.js';
 import Reference from '../models/Reference.js';
 import { sendServerError } from '../utils/apiResponse.js';
+import { userTimeZone } from '../utils/dates.js';
+import { projectProgress } from '../utils/taskOccurrences.js';
 
 const router = express.Router();
 
@@ -14,7 +17,7 @@ function parseQueryBool(v) {
   if (v === false || v === 'false') return false;
   return undefined;
 }
-router.use(protect);
+router.use(protect, requireScope('projects'));
 
 // Helper: get all descendant project IDs (recursive)
 function getAllDescendantIds(projectId, projects) {
@@ -33,12 +36,9 @@ router.get('/', async (req, res) => {
   const parentId = req.query.parentId; // 'null' for top-level, or a project ID
 
   // Single query: fetch all user projects, then filter in memory
-  const [allProjects, stats] = await Promise.all([
+  const [allProjects, statsByProject] = await Promise.all([
     Project.find({ userId: req.user._id }).sort({ order: 1, createdAt: -1 }).lean(),
-    Task.aggregate([
-      { $match: { userId: req.user._id } },
-      { $group: { _id: '$projectId', total: { $sum: 1 }, completed: { $sum: { $cond: ['$completed', 1, 0] } } } },
-    ]),
+    projectProgress(req.user._id, userTimeZone(req.user)),
   ]);
 
   // Apply filters in memory
@@ -53,10 +53,6 @@ router.get('/', async (req, res) => {
 
   if (projects.length === 0) return res.json(projects);
 
-  const statsByProject = Object.fromEntries(
-    stats.filter((s) => s._id != null).map((s) => [s._id.toString(), { totalTasks: s.total, completedTasks: s.completed }])
-  );
-
   // Calculate stats including all descendants for each project
   const projectsWithStats = projects.map((p) => {
     const descendantIds = getAllDescendantIds(p._id, allProjects);
@@ -115,14 +111,11 @@ router.put(
 // Get single project with parent chain for breadcrumbs
 router.get('/:id', async (req, res) => {
   // Fetch project, sub-projects, and all projects in parallel
-  const [project, directSubProjects, allProjects, stats] = await Promise.all([
+  const [project, directSubProjects, allProjects, statsByProject] = await Promise.all([
     Project.findOne({ _id: req.params.id, userId: req.user._id }).lean(),
     Project.find({ parentId: req.params.id, userId: req.user._id }).sort({ order: 1, createdAt: -1 }).lean(),
     Project.find({ userId: req.user._id }).lean(),
-    Task.aggregate([
-      { $match: { userId: req.user._id } },
-      { $group: { _id: '$projectId', total: { $sum: 1 }, completed: { $sum: { $cond: ['$completed', 1, 0] } } } },
-    ]),
+    projectProgress(req.user._id, userTimeZone(req.user)),
   ]);
 
   if (!project) return res.status(404).json({ message: 'Project not found' });
@@ -137,11 +130,6 @@ router.get('/:id', async (req, res) => {
     currentParentId = parent.parentId;
   }
 
-  // Create stats lookup map
-  const statsByProject = Object.fromEntries(
-    stats.filter((s) => s._id != null).map((s) => [s._id.toString(), { totalTasks: s.total, completedTasks: s.completed }])
-  );
-
   // Calculate stats for main project
   const descendantIds = getAllDescendantIds(project._id, allProjects);
   const allIds = [project._id, ...descendantIds];
@@ -264,7 +252,9 @@ router.delete('/:id', async (req, res) => {
   const descendantIds = getAllDescendantIds(req.params.id, allProjects);
   const allIdsToDelete = [project._id, ...descendantIds];
 
-  // Delete all tasks belonging to these projects
+  // Delete all tasks belonging to these projects, with the occurrence completions of recurring ones
+  const taskIds = await Task.find({ projectId: { $in: allIdsToDelete } }).distinct('_id');
+  await TaskCompletion.deleteMany({ taskId: { $in: taskIds } });
   await Task.deleteMany({ projectId: { $in: allIdsToDelete } });
 
   // Remove project references from notes (don't delete notes, just disconnect them)
@@ -1,12 +1,12 @@
 import express from 'express';
 import { body, query, param, validationResult } from 'express-validator';
-import { protect } from '../middleware/auth.js';
+import { protect, requireScope } from '../middleware/auth.js';
 import Reference from '../models/Reference.js';
 import Project from '../models/Project.js';
 import { sendServerError } from '../utils/apiResponse.js';
 
 const router = express.Router();
-router.use(protect);
+router.use(protect, requireScope('references'));
 
 router.use((req, res, next) => {
   if (req.method === 'GET') {
@@ -0,0 +1,310 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { param, query, validationResult } from 'express-validator';
+import { protect, requireScope } from '../middleware/auth.js';
+import Activity from '../models/Activity.js';
+import ActivityCategory from '../models/ActivityCategory.js';
+import Task from '../models/Task.js';
+import TaskCompletion from '../models/TaskCompletion.js';
+import Habit from '../models/Habit.js';
+import HabitEntry from '../models/HabitEntry.js';
+import PrayerEntry, { PRAYER_TYPES } from '../models/PrayerEntry.js';
+import BudgetCategory from '../models/BudgetCategory.js';
+import Transaction from '../models/Transaction.js';
+import Note from '../models/Note.js';
+import YearReport from '../models/YearReport.js';
+import { dayKey, dayRangeFilter, localMidnight, today, userTimeZone } from '../utils/dates.js';
+import { longestRun } from '../utils/streaks.js';
+import { busiestMonths, isYearReportFresh, topValues, yearMonths } from '../utils/yearReport.js';
+import { sendServerError } from '../utils/apiResponse.js';
+
+// The year report reads every tracker, so API tokens need each of their read scopes
+const router = express.Router();
+router.use(
+  protect,
+  requireScope('activities'),
+  requireScope('tasks'),
+  requireScope('habits'),
+  requireScope('prayers'),
+  requireScope('budget'),
+  requireScope('notes')
+);
+
+const TOP_SPENDING_CATEGORIES = 5;
+const TOP_NOTE_TAGS = 10;
+
+// Day values are UTC midnights, so their month needs no timezone; instants do
+const monthOfDay = (field) => ({ $dateToString: { format: '%Y-%m', date: field } });
+const monthOfInstant = (field, timezone) => ({ $dateToString: { format: '%Y-%m', date: field, timezone } });
+
+function countByMonth(rows) {
+  return new Map(rows.map((r) => [r._id, r.count]));
+}
+
+async function buildYearReport(user, year) {
+  const userId = new mongoose.Types.ObjectId(String(user._id));
+  const tz = userTimeZone(user);
+  const start = new Date(Date.UTC(year, 0, 1));
+  // Streaks and rates stop at today while the year is still running
+  const end = new Date(Math.min(Date.UTC(year, 11, 31), today(tz).getTime()));
+  const range = dayRangeFilter(start, new Date(Date.UTC(year, 11, 31)));
+  const instants = { $gte: localMidnight(start, tz), $lt: localMidnight(new Date(Date.UTC(year + 1, 0, 1)), tz) };
+
+  const [
+    activityTotals,
+    categories,
+    tasksDoneByMonth,
+    legacyTasksDoneByMonth,
+    recurringDoneByMonth,
+    habits,
+    habitEntries,
+    prayerEntries,
+    spending,
+    budgetCategories,
+    transactionsByMonth,
+    notesByMonth,
+    noteTags,
+  ] = await Promise.all([
+    Activity.aggregate([
+      { $match: { userId, date: range } },
+      {
+        $group: {
+          _id: { category: '$category', month: monthOfDay('$date') },
+          entries: { $sum: 1 },
+          // Numbers count as-is and true as 1, like utils/activityStats.js
+          total: {
+            $sum: {
+              $switch: {
+                branches: [
+                  { case: { $isNumber: '$value' }, then: '$value' },
+                  { case: { $eq: ['$value', true] }, then: 1 },
+                ],
+                default: 0,
+              },
+            },
+          },
+          days: { $addToSet: '$date' },
+        },
+      },
+    ]),
+    ActivityCategory.find({ userId }).lean(),
+    Task.aggregate([
+      { $match: { userId, completedAt: instants } },
+      { $group: { _id: monthOfInstant('$completedAt', tz), count: { $sum: 1 } } },
+    ]),
+    // Tasks completed before completedAt was recorded count on their own date
+    Task.aggregate([
+      { $match: { userId, completed: true, completedAt: null, date: range } },
+      { $group: { _id: monthOfDay('$date'), count: { $sum: 1 } } },
+    ]),
+    TaskCompletion.aggregate([
+      { $match: { userId, date: range } },
+      { $group: { _id: monthOfDay('$date'), count: { $sum: 1 } } },
+    ]),
+    Habit.find({ userId }).sort({ order: 1 }).lean(),
+    HabitEntry.find({ userId, date: range, completed: true }).select('habitId date').lean(),
+    PrayerEntry.find({ userId, date: range, prayed: true }).select('prayerType date').lean(),
+    Transaction.aggregate([
+      { $match: { userId, date: range } },
+      {
+        $group: {
+          _id: { categoryId: '$categoryId', type: '$type' },
+          total: { $sum: '$amount' },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+    BudgetCategory.find({ userId }).lean(),
+    Transaction.aggregate([
+      { $match: { userId, date: range } },
+      { $group: { _id: monthOfDay('$date'), count: { $sum: 1 } } },
+    ]),
+    Note.aggregate([
+      { $match: { userId, createdAt: instants } },
+      { $group: { _id: monthOfInstant('$createdAt', tz), count: { $sum: 1 } } },
+    ]),
+    Note.aggregate([{ $match: { userId, createdAt: instants } }, { $unwind: '$tags' }, { $project: { _id: 0, tag: '$tags' } }]),
+  ]);
+
+  // ---- Habits ----
+  const doneByHabit = new Map(habits.map((h) => [h._id.toString(), new Set()]));
+  const doneCountByDay = new Map();
+  const activeIds = new Set(habits.filter((h) => h.isActive).map((h) => h._id.toString()));
+  habitEntries.forEach((e) => {
+    const id = e.habitId.toString();
+    const key = dayKey(e.date);
+    doneByHabit.get(id)?.add(key);
+    if (activeIds.has(id)) doneCountByDay.set(key, (doneCountByDay.get(key) || 0) + 1);
+  });
+  const byHabit = habits
+    .map((h) => {
+      const done = doneByHabit.get(h._id.toString());
+      return {
+        habitId: h._id,
+        name: h.name,
+        icon: h.icon,
+        completions: done.size,
+        longestStreak: longestRun((key) => done.has(key), start, end),
+      };
+    })
+    .filter((h) => h.completions > 0)
+    .sort((a, b) => b.longestStreak.days - a.longestStreak.days || b.completions - a.completions);
+
+  // ---- Prayers ----
+  const prayedByDay = new Map();
+  prayerEntries.forEach((e) => {
+    const key = dayKey(e.date);
+    if (!prayedByDay.has(key)) prayedByDay.set(key, new Set());
+    prayedByDay.get(key).add(e.prayerType);
+  });
+  const isPerfectPrayerDay = (key) => prayedByDay.get(key)?.size === PRAYER_TYPES.length;
+  const byPrayer = {};
+  PRAYER_TYPES.forEach((p) => {
+    byPrayer[p] = prayerEntries.filter((e) => e.prayerType === p).length;
+  });
+
+  // ---- Budget ----
+  const categoryById = new Map(budgetCategories.map((c) => [c._id.toString(), c]));
+  const totals = { income: 0, expense: 0 };
+  spending.forEach(({ _id, total }) => {
+    totals[_id.type] += total;
+  });
+  const topCategories = spending
+    .filter(({ _id }) => _id.type === 'expense')
+    .sort((a, b) => b.total - a.total)
+    .slice(0, TOP_SPENDING_CATEGORIES)
+    .map(({ _id, total, count }) => {
+      const category = categoryById.get(_id.categoryId.toString());
+      return {
+        categoryId: _id.categoryId,
+        name: category?.name ?? 'Deleted category',
+        icon: category?.icon ?? '',
+        color: category?.color ?? '',
+        total,
+        count,
+        share: totals.expense ? Math.round((total / totals.expense) * 100) : 0,
+      };
+    });
+
+  // ---- Activities ----
+  const categoryByKey = new Map(categories.map((c) => [c.key, c]));
+  const byCategory = new Map();
+  activityTotals.forEach(({ _id, entries, total, days }) => {
+    const t = byCategory.get(_id.category) || { entries: 0, total: 0, days: 0 };
+    t.entries += entries;
+    t.total += total;
+    t.days += days.length;
+    byCategory.set(_id.category, t);
+  });
+  const activities = [...byCategory]
+    .map(([key, t]) => {
+      const category = categoryByKey.get(key);
+      const numeric = category && !['enum', 'text'].includes(category.valueType);
+      return {
+        category: key,
+        name: category?.name ?? key,
+        unit: category?.unit ?? '',
+        valueType: category?.valueType ?? 'number',
+        entries: t.entries,
+        days: t.days,
+        total: numeric ? Math.round(t.total * 1000) / 1000 : null,
+      };
+    })
+    .sort((a, b) => b.entries - a.entries);
+
+  // ---- Months ----
+  const activitiesByMonth = new Map();
+  activityTotals.forEach(({ _id, entries }) => {
+    activitiesByMonth.set(_id.month, (activitiesByMonth.get(_id.month) || 0) + entries);
+  });
+  const tasksByMonth = [tasksDoneByMonth, legacyTasksDoneByMonth, recurringDoneByMonth].map(countByMonth);
+  const transactionCounts = countByMonth(transactionsByMonth);
+  const noteCounts = countByMonth(notesByMonth);
+  const months = yearMonths(year).map((month) => {
+    const inMonth = (e) => dayKey(e.date).startsWith(month);
+    const entry = {
+      month,
+      activities: activitiesByMonth.get(month) || 0,
+      tasksCompleted: tasksByMonth.reduce((sum, counts) => sum + (counts.get(month) || 0), 0),
+      habitCompletions: habitEntries.filter(inMonth).length,
+      prayers: prayerEntries.filter(inMonth).length,
+      transactions: transactionCounts.get(month) || 0,
+      notes: noteCounts.get(month) || 0,
+    };
+    entry.total = Object.values(entry).reduce((sum, v) => (typeof v === 'number' ? sum + v : sum), 0);
+    return entry;
+  });
+
+  return {
+    year,
+    // Last day covered; earlier than Dec 31 while the year is still running
+    through: dayKey(end),
+    habits: {
+      completions: habitEntries.length,
+      // Days with at least 75% of active habits done, as in GET /api/habits/stats/streak
+      longestStreak: longestRun(
+        (key) => activeIds.size > 0 && ((doneCountByDay.get(key) || 0) / activeIds.size) * 100 >= 75,
+        start,
+        end
+      ),
+      byHabit,
+    },
+    prayers: {
+      completed: prayerEntries.length,
+      perfectDays: [...prayedByDay.keys()].filter(isPerfectPrayerDay).length,
+      longestStreak: longestRun(isPerfectPrayerDay, start, end),
+      byPrayer,
+    },
+    tasks: { completed: months.reduce((sum, m) => sum + m.tasksCompleted, 0) },
+    budget: {
+      income: totals.income,
+      expense: totals.expense,
+      net: totals.income - totals.expense,
+      topCategories,
+    },
+    notes: {
+      created: notesByMonth.reduce((sum, m) => sum + m.count, 0),
+      topTags: topValues(noteTags.map((t) => t.tag), TOP_NOTE_TAGS).map(({ value, count }) => ({ tag: value, count })),
+    },
+    activities,
+    months,
+    busiestMonths: busiestMonths(months),
+  };
+}
+
+// GET /api/reports/year/:year - Year in review; cached (see isYearReportFresh), ?refresh=true recomputes
+router.get(
+  '/year/:year',
+  [
+    param('year').isInt({ min: 2000, max: 2100 }).withMessage('Valid year is required').toInt(),
+    query('refresh').optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { year } = req.params;
+      const tz = userTimeZone(req.user);
+      if (year > today(tz).getUTCFullYear()) return res.status(400).json({ message: 'Year has not started yet' });
+
+      const cached = await YearReport.findOne({ userId: req.user._id, year }).lean();
+      if (req.query.refresh !== true && cached && isYearReportFresh(cached.computedAt, year, tz)) {
+        return res.json({ ...cached.report, computedAt: cached.computedAt, cached: true });
+      }
+
+      const report = await buildYearReport(req.user, year);
+      const computedAt = new Date();
+      await YearReport.findOneAndUpdate(
+        { userId: req.user._id, year },
+        { userId: req.user._id, year, report, computedAt },
+        { upsert: true }
+      );
+      res.json({ ...report, computedAt, cached: false });
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+export default router;
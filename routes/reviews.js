@@ -0,0 +1,104 @@
+import express from 'express';
+import { param, query, validationResult } from 'express-validator';
+import { protect, requireScope } from '../middleware/auth.js';
+import Review from '../models/Review.js';
+import { periodRange, toRequestDay, today, userTimeZone } from '../utils/dates.js';
+import { REVIEW_PERIODS, buildReview } from '../utils/reviews.js';
+import { sendServerError } from '../utils/apiResponse.js';
+
+// Reviews summarize tasks, habits, prayers, budget and notes, so API tokens need each of those scopes
+const router = express.Router();
+router.use(
+  protect,
+  requireScope('tasks'),
+  requireScope('habits'),
+  requireScope('prayers'),
+  requireScope('budget'),
+  requireScope('notes')
+);
+
+// Period containing `date` (default today) in the user's timezone and week start
+function requestedRange(req) {
+  const tz = userTimeZone(req.user);
+  const day = req.query.date ? toRequestDay(req.query.date, tz) : today(tz);
+  return periodRange(req.params.period, day, req.user.settings?.weekStart ?? 0);
+}
+
+// GET /api/reviews - Stored reviews, newest first
+router.get(
+  '/',
+  [query('period').optional().isIn(REVIEW_PERIODS), query('limit').optional().isInt({ min: 1, max: 100 }).toInt()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const filter = { userId: req.user._id };
+      if (req.query.period) filter.period = req.query.period;
+      const reviews = await Review.find(filter)
+        .sort({ startDate: -1 })
+        .limit(req.query.limit ?? 12)
+        .lean();
+      res.json(reviews);
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// GET /api/reviews/:period - Live review of the week/month containing ?date (default: current)
+router.get(
+  '/:period',
+  [param('period').isIn(REVIEW_PERIODS), query('date').optional().isISO8601()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      res.json(await buildReview(req.user, req.params.period, requestedRange(req)));
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// POST /api/reviews/:period - Generate and store the review of the week/month containing ?date
+// (replaces a stored review of the same period)
+router.post(
+  '/:period',
+  [param('period').isIn(REVIEW_PERIODS), query('date').optional().isISO8601()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { period } = req.params;
+      const range = requestedRange(req);
+      const summary = await buildReview(req.user, period, range);
+      const review = await Review.findOneAndUpdate(
+        { userId: req.user._id, period, startDate: range.startDate },
+        { userId: req.user._id, period, ...range, summary, generatedAt: new Date() },
+        { upsert: true, new: true }
+      );
+      res.status(201).json(review);
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// DELETE /api/reviews/:id - Delete a stored review
+router.delete('/:id', [param('id').isMongoId()], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const review = await Review.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    if (!review) return res.status(404).json({ message: 'Review not found' });
+    res.status(204).send();
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+export default router;
@@ -1,19 +1,37 @@
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
-import { protect } from '../middleware/auth.js';
+import { protect, requireScope } from '../middleware/auth.js';
+import { rolloverOnNewDay } from '../middleware/taskRollover.js';
 import Task from '../models/Task.js';
 import Project from '../models/Project.js';
 import TaskCompletion from '../models/TaskCompletion.js';
+import { addDays, dayKey, dayRangeFilter, diffDays, toRequestDay, today, userTimeZone } from '../utils/dates.js';
+import { isValidRecurrenceRule, occurrencesBetween, occursOn, parseRRule, serializeRRule, taskRecurrence } from '../utils/recurrence.js';
+import { MAX_SUBTASKS, subtaskOrders } from '../utils/subtasks.js';
+import { findTasksForDay, withCurrentOccurrence } from '../utils/taskOccurrences.js';
+import { TASK_VIEWS, compareViewTasks, matchesTaskView, taskViewCounts } from '../utils/taskViews.js';
 
 const router = express.Router();
-router.use(protect);
-
-function recurrenceMatchesDate(rule, d) {
-  const day = d.getDay();
-  if (rule === 'daily') return true;
-  if (rule === 'weekdays') return day >= 1 && day <= 5;
-  if (rule === 'weekly') return true;
-  return false;
+router.use(protect, requireScope('tasks'), rolloverOnNewDay);
+
+const MAX_OCCURRENCE_DAYS = 366;
+
+const recurrenceValidators = [
+  body('recurrenceRule').optional().custom(isValidRecurrenceRule),
+  body('recurrenceStart').optional().isISO8601(),
+  body('recurrenceExceptions').optional().isArray(),
+  body('recurrenceExceptions.*').isISO8601(),
+  body('dueOffsetDays').optional().isInt({ min: 0, max: 365 }),
+];
+
+function normalizeRecurrenceRule(rule) {
+  return serializeRRule(parseRRule(rule).rule);
+}
+
+// Open tasks the smart views pick from; recurring ones are due with their current occurrence
+async function openViewTasks(user) {
+  const tasks = await Task.find({ userId: user._id, completed: false }).lean();
+  return (await withCurrentOccurrence(tasks, userTimeZone(user))).filter((t) => !t.completed);
 }
 
 router.get(
@@ -21,47 +39,30 @@ router.get(
   [
     query('date').optional().isISO8601(),
     query('projectId').optional().isMongoId(),
+    query('view').optional().isIn(TASK_VIEWS),
   ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
+    if (req.query.view) {
+      const todayDate = today(userTimeZone(req.user));
+      const tasks = await openViewTasks(req.user);
+      return res.json(tasks.filter((t) => matchesTaskView(req.query.view, t, todayDate)).sort(compareViewTasks));
+    }
+
     const filter = { userId: req.user._id };
     if (req.query.projectId) {
       const project = await Project.findOne({ _id: req.query.projectId, userId: req.user._id });
       if (!project) return res.status(404).json({ message: 'Project not found' });
       filter.projectId = req.query.projectId;
       const tasks = await Task.find(filter).sort({ order: 1, createdAt: 1 }).lean();
-      return res.json(tasks);
+      return res.json(await withCurrentOccurrence(tasks, userTimeZone(req.user)));
     }
 
     if (req.query.date) {
-      const d = new Date(req.query.date);
-      d.setHours(0, 0, 0, 0);
-      const end = new Date(d);
-      end.setDate(end.getDate() + 1);
-      const oneOffFilter = { ...filter, date: { $gte: d, $lt: end }, $or: [{ recurrenceRule: null }, { recurrenceRule: { $exists: false } }] };
-      const oneOffTasks = await Task.find(oneOffFilter).sort({ order: 1, createdAt: 1 }).lean();
-      const recurringFilter = { userId: req.user._id, projectId: null, recurrenceRule: { $exists: true, $ne: null } };
-      const recurringTasks = await Task.find(recurringFilter).sort({ order: 1, createdAt: 1 }).lean();
-      const dayStart = new Date(d);
-      dayStart.setHours(0, 0, 0, 0);
-      const dayEnd = new Date(dayStart);
-      dayEnd.setDate(dayEnd.getDate() + 1);
-      const matchingRecurring = recurringTasks.filter((t) => recurrenceMatchesDate(t.recurrenceRule, d));
-      const recurringIds = matchingRecurring.map((t) => t._id);
-      const completions = await TaskCompletion.find({
-        userId: req.user._id,
-        taskId: { $in: recurringIds },
-        date: { $gte: dayStart, $lt: dayEnd },
-      }).lean();
-      const completedSet = new Set(completions.map((c) => c.taskId.toString()));
-      const recurringWithCompleted = matchingRecurring.map((t) => ({
-        ...t,
-        completed: completedSet.has(t._id.toString()),
-        completedForToday: completedSet.has(t._id.toString()),
-      }));
-      const result = [...oneOffTasks, ...recurringWithCompleted].sort((a, b) => (a.order || 0) - (b.order || 0) || new Date(a.createdAt) - new Date(b.createdAt));
+      const d = toRequestDay(req.query.date, userTimeZone(req.user));
+      const result = await findTasksForDay(req.user._id, d, userTimeZone(req.user));
       return res.json(result);
     }
 
@@ -70,6 +71,12 @@ router.get(
   }
 );
 
+// Open task counts per smart view (overdue, today, upcoming, someday, highPriority)
+router.get('/views', async (req, res) => {
+  const tasks = await openViewTasks(req.user);
+  res.json(taskViewCounts(tasks, today(userTimeZone(req.user))));
+});
+
 router.post(
   '/',
   [
@@ -81,37 +88,38 @@ router.post(
     body('order').optional().isInt(),
     body('priority').optional().isIn(['low', 'medium', 'high']),
     body('notes').optional().trim(),
-    body('recurrenceRule').optional().isIn(['daily', 'weekly', 'weekdays']),
+    ...recurrenceValidators,
   ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const { title, completed, date, projectId, dueDate, order, priority, notes, recurrenceRule } = req.body;
+    const { title, completed, date, projectId, dueDate, order, priority, notes, recurrenceRule, recurrenceStart, recurrenceExceptions, dueOffsetDays } = req.body;
     if (projectId) {
       const project = await Project.findOne({ _id: projectId, userId: req.user._id });
       if (!project) return res.status(404).json({ message: 'Project not found' });
     }
     if (date && projectId) return res.status(400).json({ message: 'Task cannot have both date and projectId' });
     if (!date && !projectId && !recurrenceRule) return res.status(400).json({ message: 'Task must have date (daily), projectId (project), or recurrenceRule (recurring)' });
-    if (recurrenceRule && projectId) return res.status(400).json({ message: 'Recurring tasks cannot belong to a project' });
+    if (!recurrenceRule && (recurrenceStart || recurrenceExceptions || dueOffsetDays != null)) return res.status(400).json({ message: 'recurrenceStart, recurrenceExceptions and dueOffsetDays need a recurrenceRule' });
 
-    let dayStart = undefined;
-    if (date) {
-      dayStart = new Date(date);
-      dayStart.setHours(0, 0, 0, 0);
-    }
+    const tz = userTimeZone(req.user);
+    const dayStart = date ? toRequestDay(date, tz) : undefined;
     const task = await Task.create({
       userId: req.user._id,
       title: title.trim(),
       completed: recurrenceRule ? false : (completed ?? false),
-      date: dayStart,
+      // A recurring task's `date` only seeds recurrenceStart
+      date: recurrenceRule ? undefined : dayStart,
       projectId: projectId || undefined,
-      dueDate: dueDate ? new Date(dueDate) : undefined,
+      dueDate: dueDate ? toRequestDay(dueDate, tz) : undefined,
       order: order != null ? Number(order) : 0,
       priority: priority || 'medium',
       notes: notes || '',
-      recurrenceRule: recurrenceRule || undefined,
+      recurrenceRule: recurrenceRule ? normalizeRecurrenceRule(recurrenceRule) : undefined,
+      recurrenceStart: recurrenceRule ? (recurrenceStart ? toRequestDay(recurrenceStart, tz) : dayStart || today(tz)) : undefined,
+      recurrenceExceptions: recurrenceRule ? (recurrenceExceptions || []).map((d) => toRequestDay(d, tz)) : undefined,
+      dueOffsetDays: recurrenceRule && dueOffsetDays != null ? Number(dueOffsetDays) : undefined,
     });
     res.status(201).json(task);
   }
@@ -128,15 +136,20 @@ router.put(
     body('priority').optional().isIn(['low', 'medium', 'high']),
     body('notes').optional().trim(),
     body('date').optional().isISO8601(),
+    ...recurrenceValidators,
   ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
     const task = await Task.findOne({ _id: req.params.id, userId: req.user._id });
     if (!task) return res.status(404).json({ message: 'Task not found' });
+    const tz = userTimeZone(req.user);
     if (task.recurrenceRule && req.body.completed !== undefined && req.body.date) {
-      const dayStart = new Date(req.body.date);
-      dayStart.setHours(0, 0, 0, 0);
+      const dayStart = toRequestDay(req.body.date, tz);
+      const recurrence = taskRecurrence(task, tz);
+      if (req.body.completed && !(recurrence && occursOn(recurrence, dayStart))) {
+        return res.status(400).json({ message: 'Task does not occur on that date' });
+      }
       if (req.body.completed) {
         await TaskCompletion.findOneAndUpdate(
           { userId: req.user._id, taskId: task._id, date: dayStart },
@@ -146,22 +159,173 @@ router.put(
       } else {
         await TaskCompletion.deleteOne({ userId: req.user._id, taskId: task._id, date: dayStart });
       }
-      const dayEnd = new Date(dayStart);
-      dayEnd.setDate(dayEnd.getDate() + 1);
-      const completed = await TaskCompletion.exists({ userId: req.user._id, taskId: task._id, date: { $gte: dayStart, $lt: dayEnd } });
+      const completed = await TaskCompletion.exists({ userId: req.user._id, taskId: task._id, date: dayRangeFilter(dayStart, dayStart) });
       return res.json({ ...task.toObject(), completed: !!completed, completedForToday: !!completed });
     }
     if (req.body.title !== undefined) task.title = req.body.title;
     if (req.body.completed !== undefined) task.completed = req.body.completed;
-    if (req.body.dueDate !== undefined) task.dueDate = req.body.dueDate ? new Date(req.body.dueDate) : undefined;
+    // Completing a one-off task checks off its whole checklist
+    if (task.completed && !task.recurrenceRule && req.body.completed !== undefined) {
+      task.subtasks.forEach((s) => {
+        if (!s.completed) Object.assign(s, { completed: true, completedAt: new Date() });
+      });
+    }
+    if (req.body.dueDate !== undefined) task.dueDate = req.body.dueDate ? toRequestDay(req.body.dueDate, tz) : undefined;
     if (req.body.order !== undefined) task.order = Number(req.body.order);
     if (req.body.priority !== undefined) task.priority = req.body.priority;
     if (req.body.notes !== undefined) task.notes = req.body.notes;
+    const { recurrenceRule, recurrenceStart, recurrenceExceptions, dueOffsetDays } = req.body;
+    if ([recurrenceRule, recurrenceStart, recurrenceExceptions, dueOffsetDays].some((v) => v !== undefined)) {
+      if (!task.recurrenceRule) return res.status(400).json({ message: 'Only recurring tasks have a recurrence' });
+      if (recurrenceRule !== undefined) task.recurrenceRule = normalizeRecurrenceRule(recurrenceRule);
+      if (recurrenceStart !== undefined) task.recurrenceStart = toRequestDay(recurrenceStart, tz);
+      if (recurrenceExceptions !== undefined) task.recurrenceExceptions = recurrenceExceptions.map((d) => toRequestDay(d, tz));
+      if (dueOffsetDays !== undefined) task.dueOffsetDays = Number(dueOffsetDays);
+    }
     await task.save();
     res.json(task);
   }
 );
 
+router.get(
+  '/:id/occurrences',
+  [
+    param('id').isMongoId(),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const task = await Task.findOne({ _id: req.params.id, userId: req.user._id }).lean();
+    if (!task) return res.status(404).json({ message: 'Task not found' });
+    const tz = userTimeZone(req.user);
+    const recurrence = taskRecurrence(task, tz);
+    if (!recurrence) return res.status(400).json({ message: 'Task is not recurring' });
+    const from = req.query.from ? toRequestDay(req.query.from, tz) : today(tz);
+    const to = req.query.to ? toRequestDay(req.query.to, tz) : addDays(from, 30);
+    if (to < from) return res.status(400).json({ message: 'from must not be after to' });
+    if (diffDays(from, to) >= MAX_OCCURRENCE_DAYS) return res.status(400).json({ message: `Range is limited to ${MAX_OCCURRENCE_DAYS} days` });
+    const completions = await TaskCompletion.find({ userId: req.user._id, taskId: task._id, date: dayRangeFilter(from, to) }).lean();
+    const completedKeys = new Set(completions.map((c) => dayKey(c.date)));
+    const occurrences = occurrencesBetween(recurrence, from, to).map((d) => ({
+      date: d,
+      dueDate: addDays(d, task.dueOffsetDays || 0),
+      completed: completedKeys.has(dayKey(d)),
+    }));
+    res.json(occurrences);
+  }
+);
+
+router.post(
+  '/:id/subtasks',
+  [
+    param('id').isMongoId(),
+    body('title').trim().notEmpty().withMessage('Title is required'),
+    body('completed').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const task = await Task.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!task) return res.status(404).json({ message: 'Task not found' });
+    if (task.recurrenceRule) return res.status(400).json({ message: 'Recurring tasks cannot have subtasks' });
+    if (task.subtasks.length >= MAX_SUBTASKS) return res.status(400).json({ message: `A task can have at most ${MAX_SUBTASKS} subtasks` });
+    const completed = req.body.completed === true || req.body.completed === 'true';
+    const order = task.subtasks.reduce((max, s) => Math.max(max, s.order + 1), 0);
+    task.subtasks.push({ title: req.body.title, completed, completedAt: completed ? new Date() : null, order });
+    await task.save();
+    res.status(201).json(task);
+  }
+);
+
+// Must be before /:id/subtasks/:subtaskId
+router.put(
+  '/:id/subtasks/reorder',
+  [param('id').isMongoId(), body('subtaskIds').isArray(), body('subtaskIds.*').isMongoId()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const task = await Task.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!task) return res.status(404).json({ message: 'Task not found' });
+    const { orders, error } = subtaskOrders(task.subtasks, req.body.subtaskIds);
+    if (error) return res.status(400).json({ message: error });
+    task.subtasks.forEach((s) => {
+      s.order = orders.get(s._id.toString());
+    });
+    await task.save();
+    res.json(task);
+  }
+);
+
+router.put(
+  '/:id/subtasks/:subtaskId',
+  [
+    param('id').isMongoId(),
+    param('subtaskId').isMongoId(),
+    body('title').optional().trim().notEmpty(),
+    body('completed').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const task = await Task.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!task) return res.status(404).json({ message: 'Task not found' });
+    const subtask = task.subtasks.id(req.params.subtaskId);
+    if (!subtask) return res.status(404).json({ message: 'Subtask not found' });
+    if (req.body.title !== undefined) subtask.title = req.body.title;
+    if (req.body.completed !== undefined) {
+      subtask.completed = req.body.completed;
+      subtask.completedAt = subtask.completed ? subtask.completedAt || new Date() : null;
+    }
+    await task.save();
+    res.json(task);
+  }
+);
+
+router.delete(
+  '/:id/subtasks/:subtaskId',
+  [param('id').isMongoId(), param('subtaskId').isMongoId()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const task = await Task.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!task) return res.status(404).json({ message: 'Task not found' });
+    const subtask = task.subtasks.id(req.params.subtaskId);
+    if (!subtask) return res.status(404).json({ message: 'Subtask not found' });
+    subtask.deleteOne();
+    await task.save();
+    res.json(task);
+  }
+);
+
+// Turns a checklist item into a task of its own, in the parent's project or on its day
+// (today for recurring parents outside a project)
+router.post(
+  '/:id/subtasks/:subtaskId/promote',
+  [param('id').isMongoId(), param('subtaskId').isMongoId()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const parent = await Task.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!parent) return res.status(404).json({ message: 'Task not found' });
+    const subtask = parent.subtasks.id(req.params.subtaskId);
+    if (!subtask) return res.status(404).json({ message: 'Subtask not found' });
+    const task = await Task.create({
+      userId: req.user._id,
+      title: subtask.title,
+      completed: subtask.completed,
+      date: parent.projectId ? undefined : parent.date || today(userTimeZone(req.user)),
+      projectId: parent.projectId || undefined,
+      priority: parent.priority,
+      order: parent.order,
+    });
+    subtask.deleteOne();
+    await parent.save();
+    res.status(201).json({ task, parent });
+  }
+);
+
 router.delete(
   '/:id',
   [param('id').isMongoId()],
@@ -0,0 +1,126 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { protect, requireSession } from '../middleware/auth.js';
+import User, { TWO_FACTOR_FIELDS } from '../models/User.js';
+import Session from '../models/Session.js';
+import ApiToken from '../models/ApiToken.js';
+import YearReport from '../models/YearReport.js';
+import { purgeUserData } from '../jobs/purgeDeletedAccounts.js';
+import { deletionScheduledFor, getDeletionGraceDays } from '../utils/accountDeletion.js';
+import { isValidCurrency, isValidLocale, isValidTimeZone, serializeSettings } from '../utils/settings.js';
+import { sendMailSafely } from '../utils/mailer.js';
+import { accountDeletionEmail } from '../utils/emails.js';
+import { TASK_ROLLOVER_MODES } from '../utils/taskRollover.js';
+import { sendServerError } from '../utils/apiResponse.js';
+import { audit } from '../utils/authEvents.js';
+
+const router = express.Router();
+router.use(protect, requireSession);
+
+// ============ SETTINGS ============
+
+// GET /api/users/me/settings - Timezone, week start, currency, locale, review digests and task rollover
+router.get('/me/settings', (req, res) => {
+  res.json(serializeSettings(req.user.settings));
+});
+
+// PUT /api/users/me/settings - Partial update; omitted fields keep their value
+router.put(
+  '/me/settings',
+  [
+    body('timezone').optional().custom(isValidTimeZone).withMessage('Unknown IANA timezone'),
+    body('weekStart').optional().isInt({ min: 0, max: 6 }).withMessage('weekStart must be 0 (Sunday) to 6 (Saturday)'),
+    body('currency').optional().custom(isValidCurrency).withMessage('Unknown ISO 4217 currency code'),
+    body('locale').optional().custom(isValidLocale).withMessage('Invalid locale tag'),
+    body('weeklyReview').optional().isBoolean(),
+    body('monthlyReview').optional().isBoolean(),
+    body('taskRollover').optional().isIn(TASK_ROLLOVER_MODES).withMessage(`taskRollover must be one of ${TASK_ROLLOVER_MODES.join(', ')}`),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const updates = {};
+      if (req.body.timezone !== undefined) updates['settings.timezone'] = req.body.timezone;
+      if (req.body.weekStart !== undefined) updates['settings.weekStart'] = Number(req.body.weekStart);
+      if (req.body.currency !== undefined) updates['settings.currency'] = req.body.currency.toUpperCase();
+      if (req.body.locale !== undefined) updates['settings.locale'] = Intl.getCanonicalLocales(req.body.locale)[0];
+      if (req.body.weeklyReview !== undefined) updates['settings.weeklyReview'] = req.body.weeklyReview;
+      if (req.body.monthlyReview !== undefined) updates['settings.monthlyReview'] = req.body.monthlyReview;
+      if (req.body.taskRollover !== undefined) updates['settings.taskRollover'] = req.body.taskRollover;
+
+      const user = await User.findByIdAndUpdate(req.user._id, updates, { new: true, runValidators: true });
+      // Cached year reports are bucketed by the old timezone
+      if (req.body.timezone !== undefined && req.body.timezone !== req.user.settings?.timezone) {
+        await YearReport.deleteMany({ userId: req.user._id });
+      }
+      res.json(serializeSettings(user.settings));
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+// ============ ACCOUNT ============
+
+// DELETE /api/users/me - Delete the account: re-enter the password (and a 2FA code when enabled).
+// The account is locked out immediately and purged after the grace period unless restored;
+// `immediate: true` (or a zero grace period) purges right away.
+router.delete(
+  '/me',
+  [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').optional().isString().trim(),
+    body('immediate').optional().isBoolean().withMessage('immediate must be a boolean'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+      if (!(await user.comparePassword(req.body.password))) {
+        return res.status(400).json({ message: 'Password is incorrect' });
+      }
+      if (user.twoFactor?.enabled) {
+        if (!req.body.code) return res.status(400).json({ message: 'code is required when two-factor authentication is enabled' });
+        if (!(await user.consumeSecondFactor(req.body.code))) {
+          return res.status(400).json({ message: 'Invalid authentication code' });
+        }
+      }
+
+      const graceDays = getDeletionGraceDays();
+      const immediate = graceDays === 0 || req.body.immediate === true || req.body.immediate === 'true';
+      if (immediate) {
+        await purgeUserData(user._id);
+        return res.status(204).end();
+      }
+
+      const now = new Date();
+      user.deletionRequestedAt = now;
+      user.deletionScheduledFor = deletionScheduledFor(graceDays, now);
+      await user.save();
+      const revokedSessions = await Session.revokeAllForUser(user._id);
+      await ApiToken.deleteMany({ userId: user._id });
+      await audit(req, user._id, 'account_deletion_requested', {
+        deletionScheduledFor: user.deletionScheduledFor,
+        revokedSessions,
+      });
+      await sendMailSafely(
+        accountDeletionEmail({ to: user.email, name: user.name, scheduledFor: user.deletionScheduledFor }),
+        'account deletion'
+      );
+
+      res.status(202).json({
+        message: 'Account scheduled for deletion',
+        deletionScheduledFor: user.deletionScheduledFor,
+        graceDays,
+      });
+    } catch (err) {
+      sendServerError(res, err);
+    }
+  }
+);
+
+export default router;
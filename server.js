@@ -16,12 +16,24 @@ import prayerRoutes from './routes/prayers.js';
 import budgetRoutes from './routes/budget.js';
 import noteRoutes from './routes/notes.js';
 import referenceRoutes from './routes/references.js';
+import userRoutes from './routes/users.js';
+import archiveRoutes from './routes/archive.js';
+import insightRoutes from './routes/insights.js';
+import dayRoutes from './routes/days.js';
+import reviewRoutes from './routes/reviews.js';
+import reportRoutes from './routes/reports.js';
 import { backfillNoteSearchText } from './jobs/backfillNoteSearchText.js';
+import { purgeDeletedAccounts } from './jobs/purgeDeletedAccounts.js';
+import { generateDueReviews } from './jobs/generateReviews.js';
+import { rolloverDueTasks } from './jobs/rolloverTasks.js';
 
 assertProductionJwtConfig();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+const ACCOUNT_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const REVIEW_GENERATION_INTERVAL_MS = 60 * 60 * 1000;
+const TASK_ROLLOVER_INTERVAL_MS = 60 * 60 * 1000;
 
 if (process.env.NODE_ENV === 'production') {
   app.set('trust proxy', 1);
@@ -32,6 +44,8 @@ app.use(helmet({ contentSecurityPolicy: false }));
 const corsOptions = buildCorsOptions();
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
+// Import archives hold a whole account; parsed here before the default limit applies
+app.use('/api/import', express.json({ limit: '25mb' }));
 app.use(express.json({ limit: '2mb' }));
 app.use('/api', apiRateLimiter);
 
@@ -44,6 +58,12 @@ app.use('/api/prayers', prayerRoutes);
 app.use('/api/budget', budgetRoutes);
 app.use('/api/notes', noteRoutes);
 app.use('/api/references', referenceRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/insights', insightRoutes);
+app.use('/api/days', dayRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api', archiveRoutes);
 
 app.get('/api/health', (_, res) => res.json({ ok: true }));
 
@@ -60,6 +80,15 @@ mongoose
   .connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/life-tracker')
   .then(() => {
     backfillNoteSearchText().catch((e) => console.error('[notes] searchText backfill failed:', e));
+    const purge = () => purgeDeletedAccounts().catch((e) => console.error('[users] account purge failed:', e));
+    purge();
+    setInterval(purge, ACCOUNT_PURGE_INTERVAL_MS).unref();
+    const reviews = () => generateDueReviews().catch((e) => console.error('[reviews] review generation failed:', e));
+    reviews();
+    setInterval(reviews, REVIEW_GENERATION_INTERVAL_MS).unref();
+    const rollover = () => rolloverDueTasks().catch((e) => console.error('[tasks] task rollover failed:', e));
+    rollover();
+    setInterval(rollover, TASK_ROLLOVER_INTERVAL_MS).unref();
     app.listen(PORT, () => console.log(`Server running on http://localhost:${PORT}`));
   })
   .catch((err) => {
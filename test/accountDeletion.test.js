@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_DELETION_GRACE_DAYS,
+  deletionScheduledFor,
+  getDeletionGraceDays,
+  isPendingDeletion,
+} from '../utils/accountDeletion.js';
+
+test('getDeletionGraceDays reads the env and falls back on bad values', () => {
+  assert.equal(getDeletionGraceDays({}), DEFAULT_DELETION_GRACE_DAYS);
+  assert.equal(getDeletionGraceDays({ ACCOUNT_DELETION_GRACE_DAYS: '30' }), 30);
+  assert.equal(getDeletionGraceDays({ ACCOUNT_DELETION_GRACE_DAYS: '0' }), 0);
+  assert.equal(getDeletionGraceDays({ ACCOUNT_DELETION_GRACE_DAYS: '-1' }), DEFAULT_DELETION_GRACE_DAYS);
+  assert.equal(getDeletionGraceDays({ ACCOUNT_DELETION_GRACE_DAYS: '2.5' }), DEFAULT_DELETION_GRACE_DAYS);
+});
+
+test('deletionScheduledFor adds whole days', () => {
+  const now = new Date('2026-02-12T10:00:00Z');
+  assert.equal(deletionScheduledFor(14, now).toISOString(), '2026-02-26T10:00:00.000Z');
+  assert.equal(deletionScheduledFor(0, now).getTime(), now.getTime());
+});
+
+test('isPendingDeletion', () => {
+  assert.equal(isPendingDeletion({ deletionScheduledFor: new Date() }), true);
+  assert.equal(isPendingDeletion({ deletionScheduledFor: null }), false);
+  assert.equal(isPendingDeletion(null), false);
+});
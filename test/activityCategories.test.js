@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { categoryKeyFromName, uniqueCategoryKey } from '../utils/activityCategories.js';
+
+test('categoryKeyFromName slugs names into stable keys', () => {
+  assert.equal(categoryKeyFromName('Screen time'), 'screen-time');
+  assert.equal(categoryKeyFromName('  Café / Coffee!! '), 'cafe-coffee');
+  assert.equal(categoryKeyFromName('ওজন'), 'category');
+  assert.ok(categoryKeyFromName('x'.repeat(80)).length <= 40);
+});
+
+test('uniqueCategoryKey appends a counter for taken keys', () => {
+  assert.equal(uniqueCategoryKey('water', ['sleep']), 'water');
+  assert.equal(uniqueCategoryKey('water', ['water', 'water-2']), 'water-3');
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bucketStart, buildCategoryStats, delta, summarize } from '../utils/activityStats.js';
+import { dayKey, toLocalDay } from '../utils/dates.js';
+
+const day = (s) => toLocalDay(s);
+
+test('summarize counts every value but aggregates only numeric ones', () => {
+  assert.deepEqual(summarize([2, 4, true]), { count: 3, sum: 7, avg: 2.333, min: 1, max: 4 });
+  assert.deepEqual(summarize(['eggs']), { count: 1, sum: null, avg: null, min: null, max: null });
+});
+
+test('bucketStart honours week start and months', () => {
+  assert.equal(dayKey(bucketStart(day('2026-02-11'), 'week', 1)), '2026-02-09');
+  assert.equal(dayKey(bucketStart(day('2026-02-11'), 'month')), '2026-02-01');
+});
+
+test('delta reports change and percent', () => {
+  assert.deepEqual(delta(15, 10), { change: 5, percent: 50 });
+  assert.deepEqual(delta(5, 0), { change: 5, percent: null });
+  assert.deepEqual(delta(5, null), { change: null, percent: null });
+});
+
+test('buildCategoryStats buckets, rolls and compares with the previous period', () => {
+  const activities = [
+    { date: day('2026-02-01'), value: 4 }, // previous period
+    { date: day('2026-02-03'), value: 6 },
+    { date: day('2026-02-04'), value: 8 },
+    { date: day('2026-02-05'), value: 10 },
+  ];
+  const stats = buildCategoryStats(activities, { from: day('2026-02-03'), to: day('2026-02-04'), window: 3 });
+  assert.equal(stats.total.sum, 14);
+  assert.equal(stats.previous.sum, 4);
+  assert.deepEqual(stats.delta.sum, { change: 10, percent: 250 });
+  assert.deepEqual(stats.series.map((b) => b.sum), [6, 8]);
+  assert.deepEqual(stats.series[1].delta.sum, { change: 2, percent: 33.333 });
+  // 2026-02-03 window covers 02-01..02-03: mean of 4 and 6
+  assert.deepEqual(stats.rolling[0], { date: '2026-02-03', avg: 5, days: 2 });
+});
+
+test('buildCategoryStats clips weekly buckets to the range', () => {
+  const stats = buildCategoryStats([], { from: day('2026-02-05'), to: day('2026-02-10'), granularity: 'week' });
+  assert.deepEqual(
+    stats.series.map((b) => [b.period, b.from, b.to]),
+    [
+      ['2026-02-01', '2026-02-05', '2026-02-07'],
+      ['2026-02-08', '2026-02-08', '2026-02-10'],
+    ]
+  );
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeActivityValue,
+  parseDurationMinutes,
+  supportsTimer,
+  unitConversionFactor,
+  validateValueSchema,
+} from '../utils/activityValues.js';
+
+test('number values are coerced, converted to the category unit and range-checked', () => {
+  const weight = { valueType: 'number', unit: 'kg', min: 20, max: 300 };
+  assert.deepEqual(normalizeActivityValue(weight, { value: '72.5' }), { value: 72.5, unit: 'kg', errors: [] });
+  const fromPounds = normalizeActivityValue(weight, { value: 165, unit: 'lb' });
+  assert.equal(fromPounds.value.toFixed(2), '74.84');
+  assert.equal(normalizeActivityValue(weight, { value: 70, unit: 'km' }).errors[0].path, 'unit');
+  assert.equal(normalizeActivityValue(weight, { value: 5 }).errors[0].msg, 'Value must be at least 20');
+  assert.equal(normalizeActivityValue(weight, { value: 'heavy' }).errors[0].path, 'value');
+});
+
+test('scale, boolean and enum values accept only their own shapes', () => {
+  assert.equal(normalizeActivityValue({ valueType: 'scale' }, { value: '7' }).value, 7);
+  assert.equal(normalizeActivityValue({ valueType: 'scale' }, { value: 'great' }).errors.length, 1);
+  assert.equal(normalizeActivityValue({ valueType: 'scale' }, { value: 11 }).errors.length, 1);
+  assert.equal(normalizeActivityValue({ valueType: 'boolean' }, { value: 'yes' }).value, true);
+  assert.equal(normalizeActivityValue({ valueType: 'boolean' }, { value: 0 }).value, false);
+  assert.equal(normalizeActivityValue({ valueType: 'boolean' }, { value: 'maybe' }).errors.length, 1);
+  const mood = { valueType: 'enum', options: ['Low', 'OK', 'Great'] };
+  assert.equal(normalizeActivityValue(mood, { value: 'great' }).value, 'Great');
+  assert.match(normalizeActivityValue(mood, { value: 7 }).errors[0].msg, /one of: Low, OK, Great/);
+});
+
+test('durations are stored as whole minutes', () => {
+  assert.equal(parseDurationMinutes('1h 30m'), 90);
+  assert.equal(parseDurationMinutes('1:05'), 65);
+  assert.equal(parseDurationMinutes('1.5h'), 90);
+  assert.equal(parseDurationMinutes('2 fortnights'), null);
+  assert.deepEqual(normalizeActivityValue({ valueType: 'duration' }, { value: 2, unit: 'hours' }), {
+    value: 120,
+    unit: 'min',
+    errors: [],
+  });
+  assert.equal(normalizeActivityValue({ valueType: 'duration', max: 60 }, { value: '2h' }).errors.length, 1);
+});
+
+test('text values reject objects and are trimmed', () => {
+  assert.equal(normalizeActivityValue({ valueType: 'text' }, { value: '  eggs ' }).value, 'eggs');
+  assert.equal(normalizeActivityValue({ valueType: 'text' }, { value: { a: 1 } }).errors.length, 1);
+});
+
+test('unitConversionFactor only converts within a dimension', () => {
+  assert.equal(unitConversionFactor('h', 'min'), 60);
+  assert.equal(unitConversionFactor('L', 'ml'), 1000);
+  assert.equal(unitConversionFactor('kg', 'min'), null);
+  assert.equal(unitConversionFactor('glasses', 'glasses'), 1);
+});
+
+test('validateValueSchema checks ranges and enum options', () => {
+  assert.deepEqual(validateValueSchema({ valueType: 'number', min: 0, max: 10 }), []);
+  assert.equal(validateValueSchema({ valueType: 'number', min: 10, max: 0 })[0].path, 'max');
+  assert.equal(validateValueSchema({ valueType: 'enum', options: [] })[0].path, 'options');
+  assert.equal(validateValueSchema({ valueType: 'enum', options: ['a', 'A'] })[0].msg, 'options must be unique');
+  assert.equal(validateValueSchema({ valueType: 'color' })[0].path, 'valueType');
+});
+
+test('supportsTimer accepts durations and numbers in a time unit', () => {
+  assert.equal(supportsTimer({ valueType: 'duration', unit: 'min' }), true);
+  assert.equal(supportsTimer({ valueType: 'number', unit: 'hours' }), true);
+  assert.equal(supportsTimer({ valueType: 'number', unit: 'glasses' }), false);
+  assert.equal(supportsTimer({ valueType: 'scale' }), false);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ARCHIVE_COLLECTIONS, ARCHIVE_EXCLUDED, ARCHIVE_FORMAT, ARCHIVE_VERSION, remapArchive, validateArchive } from '../utils/archive.js';
+
+function idFactory() {
+  let n = 0;
+  return () => `new${++n}`;
+}
+
+test('validateArchive checks format, version and collections', () => {
+  assert.deepEqual(validateArchive({ format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, collections: {} }), []);
+  assert.deepEqual(validateArchive(null), ['Archive must be a JSON object']);
+  const problems = validateArchive({
+    format: 'other',
+    version: ARCHIVE_VERSION + 1,
+    collections: { sessions: [], tasks: [{ title: 'no id' }] },
+  });
+  assert.equal(problems.length, 4);
+  assert.match(problems[1], /newer than this server supports/);
+});
+
+test('remapArchive assigns new ids and rewrites references', () => {
+  const { collections, skipped } = remapArchive(
+    {
+      projects: [
+        { _id: 'p1', name: 'Root', userId: 'someone-else', __v: 3 },
+        { _id: 'p2', name: 'Child', parentId: 'p1' },
+      ],
+      notes: [{ _id: 'n1', title: 'N', projectIds: ['p2', 'gone'] }],
+      habits: [{ _id: 'h1', name: 'Read' }],
+      habitEntries: [{ _id: 'e1', habitId: 'h1' }, { _id: 'e2', habitId: 'missing' }],
+    },
+    { userId: 'me', createId: idFactory() }
+  );
+  const [root, child] = collections.projects;
+  assert.equal(root.userId, 'me');
+  assert.equal(root.__v, undefined);
+  assert.notEqual(root._id, 'p1');
+  assert.equal(child.parentId, root._id);
+  assert.deepEqual(collections.notes[0].projectIds, [child._id]);
+  assert.equal(collections.habitEntries.length, 1);
+  assert.equal(collections.habitEntries[0].habitId, collections.habits[0]._id);
+  assert.equal(skipped.habitEntries, 1);
+  assert.deepEqual(collections.transactions, []);
+});
+
+test('remapArchive points references at reused documents without re-inserting them', () => {
+  const { collections } = remapArchive(
+    {
+      budgetCategories: [{ _id: 'c1', name: 'Food', type: 'expense' }],
+      transactions: [{ _id: 't1', categoryId: 'c1', amount: 5 }],
+    },
+    { userId: 'me', createId: idFactory(), reuse: { budgetCategories: new Map([['c1', 'existing']]) } }
+  );
+  assert.deepEqual(collections.budgetCategories, []);
+  assert.equal(collections.transactions[0].categoryId, 'existing');
+});
+
+test('ARCHIVE_EXCLUDED gives a reason for each collection left out', () => {
+  for (const [name, reason] of Object.entries(ARCHIVE_EXCLUDED)) {
+    assert.equal(ARCHIVE_COLLECTIONS[name], undefined, name);
+    assert.ok(reason.length > 0, name);
+  }
+  assert.deepEqual(validateArchive({ format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, collections: { reviews: [] } }), [
+    'Unknown collection "reviews"',
+  ]);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateApiToken,
+  generateRefreshToken,
+  hashToken,
+  isApiToken,
+  parseRefreshToken,
+  signAccessToken,
+  signTwoFactorChallenge,
+  verifyAccessToken,
+  verifyTwoFactorChallenge,
+} from '../utils/authTokens.js';
+
+const sessionId = '65f1a2b3c4d5e6f708192a3b';
+
+test('generateRefreshToken embeds the session id and returns its hash', () => {
+  const { token, hash } = generateRefreshToken(sessionId);
+  assert.equal(parseRefreshToken(token), sessionId);
+  assert.equal(hash, hashToken(token));
+  assert.notEqual(generateRefreshToken(sessionId).token, token);
+});
+
+test('parseRefreshToken rejects malformed tokens', () => {
+  assert.equal(parseRefreshToken(undefined), null);
+  assert.equal(parseRefreshToken('nodot'), null);
+  assert.equal(parseRefreshToken('not-an-id.secret'), null);
+  assert.equal(parseRefreshToken(`${sessionId}.a.b`), null);
+  assert.equal(parseRefreshToken(`${sessionId}.`), null);
+});
+
+test('signAccessToken carries user and session ids', () => {
+  const decoded = verifyAccessToken(signAccessToken('u1', sessionId));
+  assert.equal(decoded.userId, 'u1');
+  assert.equal(decoded.sid, sessionId);
+  assert.ok(decoded.exp - decoded.iat <= 15 * 60);
+});
+
+test('two-factor challenge tokens are not access tokens', () => {
+  const challenge = signTwoFactorChallenge('u1');
+  assert.equal(verifyTwoFactorChallenge(challenge), 'u1');
+  assert.equal(verifyAccessToken(challenge).sid, undefined);
+  assert.equal(verifyTwoFactorChallenge(signAccessToken('u1', sessionId)), null);
+  assert.equal(verifyTwoFactorChallenge('garbage'), null);
+});
+
+test('generateApiToken returns a prefixed token with a display prefix', () => {
+  const { token, hash, prefix } = generateApiToken();
+  assert.equal(isApiToken(token), true);
+  assert.equal(hash, hashToken(token));
+  assert.ok(token.startsWith(prefix));
+  assert.equal(isApiToken(signAccessToken('u1', sessionId)), false);
+});
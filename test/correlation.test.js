@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeCorrelations,
+  correlationPValue,
+  correlationStrength,
+  laggedPairs,
+  pearson,
+} from '../utils/correlation.js';
+import { addDays, dayKey, eachDay, toLocalDay } from '../utils/dates.js';
+
+const start = toLocalDay('2026-01-01');
+const days = eachDay(start, addDays(start, 29));
+
+function series(fn) {
+  return new Map(days.map((d, i) => [dayKey(d), fn(i)]).filter(([, v]) => v !== undefined));
+}
+
+test('pearson handles perfect, inverse and flat series', () => {
+  assert.equal(pearson([1, 2, 3, 4], [2, 4, 6, 8]), 1);
+  assert.equal(pearson([1, 2, 3, 4], [8, 6, 4, 2]), -1);
+  assert.equal(pearson([1, 2, 3], [5, 5, 5]), null);
+  assert.equal(pearson([1, 2], [1, 2]), null);
+});
+
+test('correlationPValue shrinks with sample size', () => {
+  assert.ok(correlationPValue(0.5, 10) > 0.05);
+  assert.ok(correlationPValue(0.5, 40) < 0.01);
+  assert.equal(correlationPValue(0.5, 3), null);
+  assert.equal(correlationStrength(-0.6), 'strong');
+  assert.equal(correlationStrength(0.05), 'negligible');
+});
+
+test('laggedPairs reads y lag days after x and skips gaps', () => {
+  const x = series((i) => (i === 3 ? undefined : i));
+  const y = series((i) => i * 10);
+  const { xs, ys } = laggedPairs(x, y, days.slice(0, 5), 1);
+  assert.deepEqual(xs, [0, 1, 2, 4]);
+  assert.deepEqual(ys, [10, 20, 30, 50]);
+});
+
+test('computeCorrelations finds a next-day relationship', () => {
+  const noise = [3, 1, 4, 1, 5, 9, 2, 6, 5, 3, 5, 8, 9, 7, 9, 3, 2, 3, 8, 4, 6, 2, 6, 4, 3, 3, 8, 3, 2, 7];
+  const sleep = series((i) => noise[i]);
+  const mood = series((i) => (i === 0 ? 5 : noise[i - 1] + 1));
+  const results = computeCorrelations(
+    [
+      { id: 'activity:sleep', label: 'Sleep', values: sleep },
+      { id: 'activity:mood', label: 'Mood', values: mood },
+    ],
+    { days, maxLag: 1 }
+  );
+  const best = results[0];
+  assert.equal(best.x.id, 'activity:sleep');
+  assert.equal(best.y.id, 'activity:mood');
+  assert.equal(best.lag, 1);
+  assert.equal(best.r, 1);
+  assert.equal(best.sampleSize, 29);
+  assert.equal(best.significant, true);
+});
+
+test('computeCorrelations skips members of an aggregate and small samples', () => {
+  const a = series((i) => i % 2);
+  const rate = series((i) => (i % 2) / 2);
+  const results = computeCorrelations(
+    [
+      { id: 'habit:a', label: 'A', group: 'habits', values: a },
+      { id: 'habits', label: 'All', values: rate },
+    ],
+    { days, maxLag: 0 }
+  );
+  assert.deepEqual(results, []);
+  const few = computeCorrelations(
+    [
+      { id: 'x', label: 'X', values: series((i) => (i < 5 ? i : undefined)) },
+      { id: 'y', label: 'Y', values: series((i) => i) },
+    ],
+    { days, maxLag: 0 }
+  );
+  assert.deepEqual(few, []);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  addDays,
+  dayKey,
+  dayRangeFilter,
+  eachDay,
+  isValidTimeZone,
+  localMidnight,
+  periodRange,
+  splitByLocalDay,
+  startOfWeek,
+  timeZoneOffsetMs,
+  toLocalDay,
+  toRequestDay,
+  today,
+  userTimeZone,
+} from '../utils/dates.js';
+
+test('toLocalDay keeps date-only strings as the named calendar day', () => {
+  assert.equal(toLocalDay('2026-02-12', 'America/New_York').toISOString(), '2026-02-12T00:00:00.000Z');
+  assert.equal(toLocalDay('2026-02-12', 'Asia/Dhaka').toISOString(), '2026-02-12T00:00:00.000Z');
+});
+
+test('toRequestDay reads UTC-midnight timestamps as the day they name', () => {
+  // Older clients send day-only fields as toISOString() of UTC midnight
+  assert.equal(toRequestDay('2024-05-01T00:00:00.000Z', 'America/Los_Angeles').toISOString(), '2024-05-01T00:00:00.000Z');
+  assert.equal(toRequestDay('2024-05-01T00:00:00Z', 'Pacific/Honolulu').toISOString(), '2024-05-01T00:00:00.000Z');
+  assert.equal(toRequestDay('2024-05-01T00:00+00:00', 'Asia/Tokyo').toISOString(), '2024-05-01T00:00:00.000Z');
+  assert.equal(toRequestDay('2024-05-01', 'Asia/Tokyo').toISOString(), '2024-05-01T00:00:00.000Z');
+  // Any other time of day, or another offset, is still an instant
+  assert.equal(dayKey(toRequestDay('2024-05-01T00:00:01Z', 'America/Los_Angeles')), '2024-04-30');
+  assert.equal(dayKey(toRequestDay('2024-05-01T00:00:00-07:00', 'UTC')), '2024-05-01');
+  assert.equal(dayKey(toRequestDay(new Date('2024-05-01T00:00:00Z'), 'America/Los_Angeles')), '2024-04-30');
+});
+
+test('toLocalDay treats UTC-midnight timestamps as instants', () => {
+  assert.equal(dayKey(toLocalDay('2024-05-01T00:00:00.000Z', 'America/Los_Angeles')), '2024-04-30');
+  assert.equal(dayKey(toLocalDay('2024-05-01T00:00:00Z', 'Asia/Tokyo')), '2024-05-01');
+});
+
+test('toLocalDay buckets instants by the user timezone', () => {
+  // 03:30 UTC on the 13th is still the evening of the 12th in New York
+  assert.equal(dayKey(toLocalDay('2026-02-13T03:30:00Z', 'America/New_York')), '2026-02-12');
+  // ...and already the 13th in Dhaka (UTC+6) even at 20:00 UTC on the 12th
+  assert.equal(dayKey(toLocalDay('2026-02-12T20:00:00Z', 'Asia/Dhaka')), '2026-02-13');
+  assert.equal(dayKey(toLocalDay('2026-02-12T20:00:00Z', 'UTC')), '2026-02-12');
+});
+
+test('today uses the zone of the user, not the server', () => {
+  const now = new Date('2026-03-01T02:00:00Z');
+  assert.equal(dayKey(today('America/Los_Angeles', now)), '2026-02-28');
+  assert.equal(dayKey(today('Europe/Berlin', now)), '2026-03-01');
+});
+
+test('userTimeZone falls back to UTC for missing or invalid zones', () => {
+  assert.equal(userTimeZone({ settings: { timezone: 'Asia/Dhaka' } }), 'Asia/Dhaka');
+  assert.equal(userTimeZone({ settings: { timezone: 'Mars/Olympus' } }), 'UTC');
+  assert.equal(userTimeZone(null), 'UTC');
+  assert.equal(isValidTimeZone('Europe/London'), true);
+  assert.equal(isValidTimeZone(''), false);
+});
+
+test('eachDay is inclusive and crosses DST without drifting', () => {
+  const days = eachDay(toLocalDay('2026-03-07'), toLocalDay('2026-03-10'));
+  assert.deepEqual(days.map(dayKey), ['2026-03-07', '2026-03-08', '2026-03-09', '2026-03-10']);
+});
+
+test('startOfWeek honours the configured first weekday', () => {
+  const wed = toLocalDay('2026-02-11');
+  assert.equal(dayKey(startOfWeek(wed, 0)), '2026-02-08');
+  assert.equal(dayKey(startOfWeek(wed, 1)), '2026-02-09');
+  assert.equal(dayKey(startOfWeek(toLocalDay('2026-02-08'), 1)), '2026-02-02');
+});
+
+test('periodRange returns inclusive week, month and year bounds', () => {
+  const day = toLocalDay('2026-02-11');
+  const month = periodRange('month', day);
+  assert.equal(dayKey(month.startDate), '2026-02-01');
+  assert.equal(dayKey(month.endDate), '2026-02-28');
+  const week = periodRange('week', day, 1);
+  assert.equal(dayKey(week.startDate), '2026-02-09');
+  assert.equal(dayKey(week.endDate), '2026-02-15');
+  assert.equal(dayKey(periodRange('year', day).endDate), '2026-12-31');
+});
+
+test('dayRangeFilter ends exclusively after the last day', () => {
+  const start = toLocalDay('2026-02-01');
+  const filter = dayRangeFilter(start, addDays(start, 2));
+  assert.equal(filter.$lt.toISOString(), '2026-02-04T00:00:00.000Z');
+});
+
+test('localMidnight finds the zoned start of a day across DST', () => {
+  assert.equal(localMidnight(toLocalDay('2026-02-12'), 'Asia/Dhaka').toISOString(), '2026-02-11T18:00:00.000Z');
+  // New York switches to EDT on 2026-03-08; midnight that day is still EST
+  assert.equal(localMidnight(toLocalDay('2026-03-08'), 'America/New_York').toISOString(), '2026-03-08T05:00:00.000Z');
+  assert.equal(localMidnight(toLocalDay('2026-03-09'), 'America/New_York').toISOString(), '2026-03-09T04:00:00.000Z');
+  assert.equal(timeZoneOffsetMs(new Date('2026-07-01T00:00:00Z'), 'Europe/Berlin'), 2 * 60 * 60 * 1000);
+});
+
+test('splitByLocalDay cuts intervals at local midnight', () => {
+  const pieces = splitByLocalDay(new Date('2026-02-12T16:00:00Z'), new Date('2026-02-13T01:00:00Z'), 'Asia/Dhaka');
+  assert.deepEqual(
+    pieces.map((p) => [dayKey(p.day), p.start.toISOString(), p.end.toISOString()]),
+    [
+      ['2026-02-12', '2026-02-12T16:00:00.000Z', '2026-02-12T18:00:00.000Z'],
+      ['2026-02-13', '2026-02-12T18:00:00.000Z', '2026-02-13T01:00:00.000Z'],
+    ]
+  );
+  assert.equal(splitByLocalDay(new Date('2026-02-12T10:00:00Z'), new Date('2026-02-12T11:00:00Z')).length, 1);
+});
+
+test('localMidnight and splitByLocalDay handle zones whose DST change skips midnight', () => {
+  // Sao Paulo jumped from 00:00 (-03) to 01:00 (-02) on 2018-11-04; Beirut does the same in March
+  assert.equal(localMidnight(toLocalDay('2018-11-04'), 'America/Sao_Paulo').toISOString(), '2018-11-04T03:00:00.000Z');
+  assert.equal(localMidnight(toLocalDay('2026-03-29'), 'Asia/Beirut').toISOString(), '2026-03-28T22:00:00.000Z');
+  // ...and fell back from 00:00 (-02) to 23:00 (-03) on 2019-02-17, repeating the previous evening
+  assert.equal(localMidnight(toLocalDay('2019-02-17'), 'America/Sao_Paulo').toISOString(), '2019-02-17T03:00:00.000Z');
+
+  const pieces = splitByLocalDay(new Date('2018-11-04T01:00:00Z'), new Date('2018-11-04T05:00:00Z'), 'America/Sao_Paulo');
+  assert.deepEqual(
+    pieces.map((p) => [dayKey(p.day), p.start.toISOString(), p.end.toISOString()]),
+    [
+      ['2018-11-03', '2018-11-04T01:00:00.000Z', '2018-11-04T03:00:00.000Z'],
+      ['2018-11-04', '2018-11-04T03:00:00.000Z', '2018-11-04T05:00:00.000Z'],
+    ]
+  );
+});
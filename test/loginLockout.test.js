@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LOCKOUT_THRESHOLD, lockoutDurationMs, lockoutSecondsRemaining } from '../utils/loginLockout.js';
+
+test('lockoutDurationMs allows attempts below the threshold', () => {
+  assert.equal(lockoutDurationMs(0), 0);
+  assert.equal(lockoutDurationMs(LOCKOUT_THRESHOLD - 1), 0);
+});
+
+test('lockoutDurationMs doubles per failure and caps at one hour', () => {
+  assert.equal(lockoutDurationMs(LOCKOUT_THRESHOLD), 60_000);
+  assert.equal(lockoutDurationMs(LOCKOUT_THRESHOLD + 1), 120_000);
+  assert.equal(lockoutDurationMs(LOCKOUT_THRESHOLD + 3), 480_000);
+  assert.equal(lockoutDurationMs(LOCKOUT_THRESHOLD + 50), 3_600_000);
+});
+
+test('lockoutSecondsRemaining rounds up and ignores past locks', () => {
+  const now = 1_000_000;
+  assert.equal(lockoutSecondsRemaining({ lockedUntil: new Date(now + 1500) }, now), 2);
+  assert.equal(lockoutSecondsRemaining({ lockedUntil: new Date(now - 1) }, now), 0);
+  assert.equal(lockoutSecondsRemaining({ lockedUntil: null }, now), 0);
+});
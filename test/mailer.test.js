@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createFileTransport, createMailTransport } from '../utils/mailer.js';
+import { passwordResetEmail } from '../utils/emails.js';
+
+test('file transport writes one JSON file per message', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mail-'));
+  const transport = createFileTransport(dir);
+  await transport.send({ to: 'a@example.com', subject: 'Hi', text: 'body' });
+
+  const files = await fs.readdir(dir);
+  assert.equal(files.length, 1);
+  const saved = JSON.parse(await fs.readFile(path.join(dir, files[0]), 'utf8'));
+  assert.equal(saved.to, 'a@example.com');
+  assert.equal(saved.text, 'body');
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('createMailTransport rejects unknown or unconfigured transports', () => {
+  const origHost = process.env.SMTP_HOST;
+  delete process.env.SMTP_HOST;
+  assert.throws(() => createMailTransport('smtp'), /SMTP_HOST/);
+  assert.throws(() => createMailTransport('pigeon'), /Unknown MAIL_TRANSPORT/);
+  assert.equal(createMailTransport('console').name, 'console');
+  if (origHost !== undefined) process.env.SMTP_HOST = origHost;
+});
+
+test('passwordResetEmail links to the frontend with the encoded token', () => {
+  const orig = process.env.APP_URL;
+  process.env.APP_URL = 'https://app.example.com/';
+  const mail = passwordResetEmail({ to: 'a@example.com', name: '<Ann>', token: 'a+b', expiresInMinutes: 60 });
+  if (orig === undefined) delete process.env.APP_URL;
+  else process.env.APP_URL = orig;
+
+  assert.ok(mail.text.includes('https://app.example.com/reset-password?token=a%2Bb'));
+  assert.ok(mail.html.includes('&lt;Ann&gt;'));
+});
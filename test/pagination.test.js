@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeCursor, encodeCursor, keysetFilter, keysetSort, parseSort } from '../utils/pagination.js';
+
+const id = '65f1a2b3c4d5e6f708192a3b';
+
+test('cursors round-trip dates and numbers', () => {
+  const date = new Date('2026-02-12T00:00:00Z');
+  const decoded = decodeCursor(encodeCursor(date, id));
+  assert.ok(decoded.value instanceof Date);
+  assert.equal(decoded.value.getTime(), date.getTime());
+  assert.equal(String(decoded.id), id);
+  assert.equal(decodeCursor(encodeCursor(7.5, id)).value, 7.5);
+});
+
+test('decodeCursor rejects tampered tokens', () => {
+  assert.equal(decodeCursor('not-a-cursor'), null);
+  assert.equal(decodeCursor(Buffer.from('{"v":1,"id":"x"}').toString('base64url')), null);
+  assert.equal(decodeCursor(Buffer.from(`{"v":{"$gt":1},"id":"${id}"}`).toString('base64url')), null);
+});
+
+test('parseSort accepts allowed fields with an optional minus', () => {
+  assert.deepEqual(parseSort('-value', ['date', 'value'], 'date'), { field: 'value', direction: -1 });
+  assert.deepEqual(parseSort(undefined, ['date'], 'date'), { field: 'date', direction: 1 });
+  assert.equal(parseSort('password', ['date'], 'date'), null);
+});
+
+test('keysetFilter continues after the cursor in sort direction', () => {
+  const cursor = decodeCursor(encodeCursor(3, id));
+  const sort = { field: 'value', direction: -1 };
+  assert.deepEqual(keysetSort(sort), { value: -1, _id: -1 });
+  const filter = keysetFilter(sort, cursor);
+  assert.deepEqual(filter.$or[0], { value: { $lt: 3 } });
+  assert.equal(String(filter.$or[1]._id.$lt), id);
+});
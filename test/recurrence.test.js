@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  addRecurringProgress,
+  isValidRecurrenceRule,
+  occurrencesBetween,
+  occursOn,
+  parseRRule,
+  recurrenceProgress,
+  serializeRRule,
+  taskRecurrence,
+} from '../utils/recurrence.js';
+import { dayKey, toLocalDay } from '../utils/dates.js';
+
+const day = (s) => toLocalDay(s);
+const recurrence = (rrule, start, exceptions = []) => ({
+  rule: parseRRule(rrule).rule,
+  start: day(start),
+  exceptions: new Set(exceptions),
+});
+const keys = (rec, from, to) => occurrencesBetween(rec, day(from), day(to)).map(dayKey);
+
+test('parseRRule round-trips RRULE strings and legacy keywords', () => {
+  assert.equal(serializeRRule(parseRRule('RRULE:FREQ=WEEKLY;BYDAY=MO,TH;INTERVAL=2').rule), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH');
+  assert.equal(serializeRRule(parseRRule('freq=monthly;byday=-1fr;until=20261231T000000Z').rule), 'FREQ=MONTHLY;UNTIL=20261231;BYDAY=-1FR');
+  assert.equal(serializeRRule(parseRRule('weekdays').rule), 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+  assert.equal(serializeRRule(parseRRule('daily').rule), 'FREQ=DAILY');
+});
+
+test('parseRRule rejects unsupported or malformed rules', () => {
+  assert.match(parseRRule('FREQ=HOURLY').error, /FREQ/);
+  assert.match(parseRRule('FREQ=DAILY;BYSETPOS=1').error, /Unsupported/);
+  assert.match(parseRRule('FREQ=DAILY;COUNT=3;UNTIL=20260101').error, /COUNT and UNTIL/);
+  assert.match(parseRRule('FREQ=WEEKLY;BYDAY=1MO').error, /ordinals/);
+  assert.match(parseRRule('FREQ=MONTHLY;BYMONTHDAY=0').error, /BYMONTHDAY/);
+  assert.match(parseRRule('FREQ=DAILY;UNTIL=20260231').error, /UNTIL/);
+  assert.throws(() => isValidRecurrenceRule(''), /non-empty/);
+});
+
+test('weekly rules repeat on the start weekday, not every day', () => {
+  // 2026-02-04 is a Wednesday
+  assert.deepEqual(keys(recurrence('weekly', '2026-02-04'), '2026-02-01', '2026-02-20'), ['2026-02-04', '2026-02-11', '2026-02-18']);
+});
+
+test('every N days and every other week on given weekdays', () => {
+  assert.deepEqual(keys(recurrence('FREQ=DAILY;INTERVAL=3', '2026-02-01'), '2026-02-01', '2026-02-10'), [
+    '2026-02-01',
+    '2026-02-04',
+    '2026-02-07',
+    '2026-02-10',
+  ]);
+  assert.deepEqual(keys(recurrence('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR', '2026-02-02'), '2026-02-01', '2026-02-22'), [
+    '2026-02-02',
+    '2026-02-06',
+    '2026-02-16',
+    '2026-02-20',
+  ]);
+});
+
+test('monthly on day N, the last day and the last Friday', () => {
+  assert.deepEqual(keys(recurrence('FREQ=MONTHLY', '2026-01-31'), '2026-01-01', '2026-05-31'), ['2026-01-31', '2026-03-31', '2026-05-31']);
+  assert.deepEqual(keys(recurrence('FREQ=MONTHLY;BYMONTHDAY=-1', '2026-01-01'), '2026-01-01', '2026-03-31'), [
+    '2026-01-31',
+    '2026-02-28',
+    '2026-03-31',
+  ]);
+  assert.deepEqual(keys(recurrence('FREQ=MONTHLY;BYDAY=-1FR', '2026-01-01'), '2026-01-01', '2026-03-31'), [
+    '2026-01-30',
+    '2026-02-27',
+    '2026-03-27',
+  ]);
+});
+
+test('yearly rules, COUNT, UNTIL and exceptions', () => {
+  assert.deepEqual(keys(recurrence('FREQ=YEARLY', '2024-02-29'), '2024-01-01', '2028-12-31'), ['2024-02-29', '2028-02-29']);
+  assert.deepEqual(keys(recurrence('FREQ=YEARLY;BYMONTH=11;BYDAY=4TH', '2026-01-01'), '2026-01-01', '2027-12-31'), [
+    '2026-11-26',
+    '2027-11-25',
+  ]);
+  // Excluded days still use up COUNT
+  assert.deepEqual(keys(recurrence('FREQ=DAILY;COUNT=3', '2026-02-01', ['2026-02-02']), '2026-02-02', '2026-02-10'), ['2026-02-03']);
+  assert.deepEqual(keys(recurrence('FREQ=DAILY;UNTIL=20260203', '2026-02-01'), '2026-02-01', '2026-02-10'), [
+    '2026-02-01',
+    '2026-02-02',
+    '2026-02-03',
+  ]);
+  assert.equal(occursOn(recurrence('daily', '2026-02-05'), day('2026-02-04')), false);
+});
+
+test('taskRecurrence falls back to the creation day for older tasks', () => {
+  const rec = taskRecurrence({ recurrenceRule: 'weekly', createdAt: new Date('2026-02-04T23:30:00Z') }, 'Asia/Dhaka');
+  assert.equal(dayKey(rec.start), '2026-02-05');
+  assert.equal(taskRecurrence({ recurrenceRule: null }), null);
+});
+
+test('recurrenceProgress counts due occurrences and picks the oldest open one', () => {
+  const weekly = recurrence('FREQ=WEEKLY;BYDAY=MO', '2026-02-02');
+  const progress = recurrenceProgress(weekly, new Set(['2026-02-02', '2026-02-16']), day('2026-02-18'));
+  assert.deepEqual({ ...progress, current: dayKey(progress.current) }, { due: 3, completed: 2, current: '2026-02-09' });
+
+  const allDone = recurrenceProgress(weekly, new Set(['2026-02-02', '2026-02-09']), day('2026-02-10'));
+  assert.equal(dayKey(allDone.current), '2026-02-16');
+
+  const finished = recurrenceProgress(recurrence('FREQ=DAILY;COUNT=2', '2026-02-01'), new Set(['2026-02-01', '2026-02-02']), day('2026-02-10'));
+  assert.deepEqual(finished, { due: 2, completed: 2, current: null });
+
+  const future = recurrenceProgress(recurrence('FREQ=MONTHLY', '2026-03-15'), new Set(), day('2026-02-10'));
+  assert.equal(future.due, 0);
+  assert.equal(dayKey(future.current), '2026-03-15');
+});
+
+test('addRecurringProgress counts a recurring task as one task of its project', () => {
+  // 3 of 4 one-off tasks done plus a daily task missed all year
+  const missedDaily = recurrenceProgress(recurrence('FREQ=DAILY', '2026-01-01'), new Set(), day('2026-12-31'));
+  assert.deepEqual(addRecurringProgress({ totalTasks: 4, completedTasks: 3 }, missedDaily), { totalTasks: 5, completedTasks: 3 });
+
+  const weekly = recurrence('FREQ=WEEKLY;BYDAY=MO', '2026-02-02');
+  const twoOfThree = recurrenceProgress(weekly, new Set(['2026-02-02', '2026-02-16']), day('2026-02-18'));
+  assert.deepEqual(addRecurringProgress({ totalTasks: 0, completedTasks: 0 }, twoOfThree), { totalTasks: 1, completedTasks: 0.67 });
+
+  const finished = { due: 2, completed: 2, current: null };
+  const notStarted = { due: 0, completed: 0, current: day('2026-03-15') };
+  const counts = [finished, notStarted].reduce(addRecurringProgress, { totalTasks: 1, completedTasks: 0 });
+  assert.deepEqual(counts, { totalTasks: 3, completedTasks: 1 });
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bestAndWorstDays, dayScore, percentage, previousReviewRange, proratedBudgetLimit } from '../utils/reviews.js';
+import { dayKey, toLocalDay } from '../utils/dates.js';
+
+const day = (s) => toLocalDay(s);
+
+test('previousReviewRange returns the last complete week or month', () => {
+  // 2026-02-12 is a Thursday
+  const week = previousReviewRange('week', day('2026-02-12'), 1);
+  assert.deepEqual([dayKey(week.startDate), dayKey(week.endDate)], ['2026-02-02', '2026-02-08']);
+  const month = previousReviewRange('month', day('2026-03-01'));
+  assert.deepEqual([dayKey(month.startDate), dayKey(month.endDate)], ['2026-02-01', '2026-02-28']);
+});
+
+test('proratedBudgetLimit spreads the monthly limit over the days in range', () => {
+  assert.equal(proratedBudgetLimit(280, day('2026-02-01'), day('2026-02-28')), 280);
+  assert.equal(proratedBudgetLimit(280, day('2026-02-01'), day('2026-02-07')), 70);
+  // Spanning two months: 3 days of January (31 days) + 4 of February (28 days)
+  assert.equal(proratedBudgetLimit(310, day('2026-01-29'), day('2026-02-04')), 74.29);
+  assert.equal(proratedBudgetLimit(null, day('2026-02-01'), day('2026-02-07')), null);
+});
+
+test('dayScore averages the rates that apply', () => {
+  assert.equal(percentage(3, 4), 75);
+  assert.equal(percentage(0, 0), null);
+  assert.equal(dayScore({ habits: 50, prayers: 100, tasks: null }), 75);
+  assert.equal(dayScore({ habits: null, prayers: null, tasks: null }), null);
+});
+
+test('bestAndWorstDays skips unscored days and prefers the earlier day on ties', () => {
+  const days = [
+    { date: '2026-02-01', score: null },
+    { date: '2026-02-02', score: 80 },
+    { date: '2026-02-03', score: 40 },
+    { date: '2026-02-04', score: 80 },
+    { date: '2026-02-05', score: 40 },
+  ];
+  const { best, worst } = bestAndWorstDays(days);
+  assert.equal(best.date, '2026-02-02');
+  assert.equal(worst.date, '2026-02-03');
+  assert.deepEqual(bestAndWorstDays([{ date: '2026-02-01', score: null }]), { best: null, worst: null });
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_TOKEN_SCOPES, accessForMethod, hasScope } from '../utils/scopes.js';
+
+test('accessForMethod treats safe methods as read', () => {
+  assert.equal(accessForMethod('GET'), 'read');
+  assert.equal(accessForMethod('head'), 'read');
+  assert.equal(accessForMethod('POST'), 'write');
+  assert.equal(accessForMethod('DELETE'), 'write');
+});
+
+test('hasScope lets write imply read but not the reverse', () => {
+  assert.equal(hasScope(['habits:write'], 'habits', 'read'), true);
+  assert.equal(hasScope(['habits:write'], 'habits', 'write'), true);
+  assert.equal(hasScope(['budget:read'], 'budget', 'write'), false);
+  assert.equal(hasScope(['budget:read'], 'habits', 'read'), false);
+  assert.equal(hasScope(undefined, 'habits', 'read'), false);
+});
+
+test('API_TOKEN_SCOPES lists read and write for each resource', () => {
+  assert.ok(API_TOKEN_SCOPES.includes('habits:write'));
+  assert.ok(API_TOKEN_SCOPES.includes('budget:read'));
+  assert.equal(API_TOKEN_SCOPES.length % 2, 0);
+});
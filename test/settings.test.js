@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidCurrency, isValidLocale, mergeSettings, serializeSettings } from '../utils/settings.js';
+
+test('isValidCurrency accepts ISO 4217 codes only', () => {
+  assert.equal(isValidCurrency('BDT'), true);
+  assert.equal(isValidCurrency('usd'), true);
+  assert.equal(isValidCurrency('XYZ1'), false);
+  assert.equal(isValidCurrency('ZZZ'), false);
+});
+
+test('isValidLocale accepts BCP 47 tags', () => {
+  assert.equal(isValidLocale('bn-BD'), true);
+  assert.equal(isValidLocale('en'), true);
+  assert.equal(isValidLocale('not a locale!'), false);
+});
+
+test('serializeSettings fills defaults for accounts created before settings existed', () => {
+  assert.deepEqual(serializeSettings(undefined), {
+    timezone: 'UTC',
+    weekStart: 0,
+    currency: 'USD',
+    locale: 'en-US',
+    weeklyReview: false,
+    monthlyReview: false,
+    taskRollover: 'off',
+  });
+  assert.equal(serializeSettings({ timezone: 'Asia/Dhaka', weekStart: 6 }).weekStart, 6);
+});
+
+test('mergeSettings keeps current values for invalid updates', () => {
+  const current = { timezone: 'Asia/Dhaka', weekStart: 6, currency: 'BDT', locale: 'bn-BD', weeklyReview: true, monthlyReview: false, taskRollover: 'move' };
+  assert.deepEqual(
+    mergeSettings(current, { timezone: 'Mars/Olympus', weekStart: 9, currency: 'eur', locale: 42, weeklyReview: 'no', monthlyReview: true, taskRollover: 'later' }),
+    { ...current, currency: 'EUR', monthlyReview: true }
+  );
+  assert.deepEqual(
+    mergeSettings(current, { taskRollover: 'copy' }),
+    { ...current, taskRollover: 'copy' }
+  );
+  assert.deepEqual(mergeSettings(undefined, undefined), serializeSettings(undefined));
+});
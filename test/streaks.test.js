@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { longestRun, streakStats } from '../utils/streaks.js';
+import { toLocalDay } from '../utils/dates.js';
+
+test('streakStats counts the run ending on the last day and the longest run', () => {
+  const done = new Set(['2026-02-01', '2026-02-02', '2026-02-03', '2026-02-05', '2026-02-06']);
+  const stats = streakStats((key) => done.has(key), toLocalDay('2026-02-06'), 10);
+  assert.deepEqual(stats, { currentStreak: 2, longestStreak: 3 });
+  assert.deepEqual(streakStats((key) => done.has(key), toLocalDay('2026-02-07'), 10), {
+    currentStreak: 0,
+    longestStreak: 3,
+  });
+});
+
+test('streakStats only looks back the given number of days', () => {
+  const stats = streakStats(() => true, toLocalDay('2026-02-06'), 4);
+  assert.deepEqual(stats, { currentStreak: 4, longestStreak: 4 });
+});
+
+test('longestRun reports the first longest run with its bounds', () => {
+  const done = new Set(['2026-02-01', '2026-02-02', '2026-02-04', '2026-02-05', '2026-02-08']);
+  assert.deepEqual(longestRun((key) => done.has(key), toLocalDay('2026-02-01'), toLocalDay('2026-02-08')), {
+    days: 2,
+    from: '2026-02-01',
+    to: '2026-02-02',
+  });
+  assert.deepEqual(longestRun(() => false, toLocalDay('2026-02-01'), toLocalDay('2026-02-08')), {
+    days: 0,
+    from: null,
+    to: null,
+  });
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { subtaskOrders, subtaskProgress } from '../utils/subtasks.js';
+
+test('subtaskProgress rolls completion up to the parent', () => {
+  assert.deepEqual(subtaskProgress([{ completed: true }, { completed: false }]), { total: 2, completed: 1, allDone: false });
+  assert.deepEqual(subtaskProgress([{ completed: true }]), { total: 1, completed: 1, allDone: true });
+  assert.deepEqual(subtaskProgress([]), { total: 0, completed: 0, allDone: false });
+});
+
+test('subtaskOrders needs every subtask exactly once', () => {
+  const subtasks = [{ _id: 'a' }, { _id: 'b' }, { _id: 'c' }];
+  assert.deepEqual([...subtaskOrders(subtasks, ['c', 'a', 'b']).orders], [
+    ['c', 0],
+    ['a', 1],
+    ['b', 2],
+  ]);
+  assert.match(subtaskOrders(subtasks, ['a', 'b']).error, /every subtask/);
+  assert.match(subtaskOrders(subtasks, ['a', 'a', 'b']).error, /repeat/);
+  assert.match(subtaskOrders(subtasks, ['a', 'b', 'x']).error, /every subtask/);
+});
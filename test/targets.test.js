@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateTarget, validateTargets } from '../utils/targets.js';
+import { toLocalDay } from '../utils/dates.js';
+
+const day = (s) => toLocalDay(s);
+
+test('validateTargets allows one target per period on numeric categories', () => {
+  assert.deepEqual(validateTargets([{ period: 'day', comparison: 'at_least', value: 2000 }], 'number'), []);
+  const errors = validateTargets(
+    [
+      { period: 'day', comparison: 'at_least', value: 1 },
+      { period: 'day', comparison: 'more', value: -1 },
+    ],
+    'number'
+  );
+  assert.deepEqual(
+    errors.map((e) => e.path),
+    ['targets[1].period', 'targets[1].comparison', 'targets[1].value']
+  );
+  assert.equal(validateTargets([{ period: 'day', comparison: 'at_least', value: 1 }], 'text')[0].path, 'targets');
+});
+
+test('daily at-least targets count missing days as misses', () => {
+  const totals = new Map([
+    ['2026-02-01', 2100],
+    ['2026-02-02', 1500],
+  ]);
+  const result = evaluateTarget({ period: 'day', comparison: 'at_least', value: 2000 }, totals, {
+    from: day('2026-02-01'),
+    to: day('2026-02-04'),
+    today: day('2026-02-04'),
+  });
+  assert.deepEqual(
+    result.periods.map((p) => p.met),
+    [true, false, false, null]
+  );
+  assert.equal(result.periods[1].progress, 0.75);
+  assert.equal(result.periods[3].inProgress, true);
+  assert.equal(result.hitRate, 0.333);
+});
+
+test('at-most targets skip unlogged days and weekly targets wait for the week to end', () => {
+  const totals = new Map([
+    ['2026-02-02', 3],
+    ['2026-02-09', 1],
+  ]);
+  const daily = evaluateTarget({ period: 'day', comparison: 'at_most', value: 2 }, totals, {
+    from: day('2026-02-02'),
+    to: day('2026-02-03'),
+    today: day('2026-02-10'),
+  });
+  assert.deepEqual(
+    daily.periods.map((p) => p.met),
+    [false, null]
+  );
+  assert.equal(daily.evaluated, 1);
+
+  const weekly = evaluateTarget({ period: 'week', comparison: 'at_most', value: 5 }, totals, {
+    from: day('2026-02-02'),
+    to: day('2026-02-10'),
+    today: day('2026-02-10'),
+    weekStart: 1,
+  });
+  assert.deepEqual(
+    weekly.periods.map((p) => [p.period, p.met, p.inProgress]),
+    [
+      ['2026-02-02', true, false],
+      ['2026-02-09', null, true],
+    ]
+  );
+  assert.equal(weekly.hitRate, 1);
+});
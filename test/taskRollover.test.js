@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ROLLOVER_LOOKBACK_DAYS, rolledOverCopy, rolloverWindow } from '../utils/taskRollover.js';
+
+const day = new Date('2026-10-19T00:00:00Z');
+
+test('rolloverWindow covers the days since the last rollover', () => {
+  assert.deepEqual(rolloverWindow(null, day), { from: new Date('2026-10-18'), to: new Date('2026-10-18') });
+  assert.deepEqual(rolloverWindow(new Date('2026-10-16'), day), { from: new Date('2026-10-16'), to: new Date('2026-10-18') });
+  assert.equal(rolloverWindow(day, day), null);
+  assert.equal(rolloverWindow(new Date('2026-10-20'), day), null);
+});
+
+test('rolloverWindow catches up at most ROLLOVER_LOOKBACK_DAYS', () => {
+  const { from } = rolloverWindow(new Date('2026-01-01'), day);
+  assert.equal(ROLLOVER_LOOKBACK_DAYS, 7);
+  assert.deepEqual(from, new Date('2026-10-12'));
+});
+
+test('rolledOverCopy dates a fresh copy and counts the rollover', () => {
+  const task = {
+    _id: 't1',
+    __v: 0,
+    userId: 'u1',
+    title: 'Call the bank',
+    date: new Date('2026-10-18'),
+    priority: 'high',
+    rolledOverCount: 2,
+    createdAt: new Date('2026-10-18T08:00:00Z'),
+    updatedAt: new Date('2026-10-18T09:00:00Z'),
+    completedAt: null,
+    subtasks: [{ _id: 's1', title: 'Find account number', completed: true, order: 0 }],
+  };
+  assert.deepEqual(rolledOverCopy(task, day), {
+    userId: 'u1',
+    title: 'Call the bank',
+    date: day,
+    priority: 'high',
+    rolledOverCount: 3,
+    subtasks: [{ title: 'Find account number', completed: true, order: 0 }],
+  });
+  assert.equal(rolledOverCopy({ title: 'x' }, day).rolledOverCount, 1);
+});
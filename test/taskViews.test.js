@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareViewTasks, effectiveDueDate, matchesTaskView, taskViewCounts } from '../utils/taskViews.js';
+
+const today = new Date('2026-10-19T00:00:00Z');
+const task = (fields) => ({ priority: 'medium', ...fields });
+
+test('effectiveDueDate uses the current occurrence of recurring tasks', () => {
+  assert.deepEqual(effectiveDueDate(task({ dueDate: new Date('2026-10-20') })), new Date('2026-10-20'));
+  const recurring = task({ recurrenceRule: 'FREQ=DAILY', dueDate: new Date('2026-01-01'), occurrence: { dueDate: new Date('2026-10-21') } });
+  assert.deepEqual(effectiveDueDate(recurring), new Date('2026-10-21'));
+  assert.equal(effectiveDueDate(task({ recurrenceRule: 'FREQ=DAILY', occurrence: null })), null);
+  assert.equal(effectiveDueDate(task({})), null);
+});
+
+test('effectiveDueDate falls back to the day of a one-off task', () => {
+  assert.deepEqual(effectiveDueDate(task({ date: today })), today);
+  assert.deepEqual(effectiveDueDate(task({ date: today, dueDate: new Date('2026-10-20') })), new Date('2026-10-20'));
+  assert.equal(matchesTaskView('today', task({ date: today }), today), true);
+  assert.equal(matchesTaskView('overdue', task({ date: new Date('2026-10-18T00:00:00Z') }), today), true);
+});
+
+test('matchesTaskView splits due dates into overdue, today and the next 7 days', () => {
+  const due = (key) => task({ dueDate: new Date(key) });
+  assert.equal(matchesTaskView('overdue', due('2026-10-18'), today), true);
+  assert.equal(matchesTaskView('overdue', due('2026-10-19'), today), false);
+  assert.equal(matchesTaskView('today', due('2026-10-19'), today), true);
+  // An instant counts on its UTC day
+  assert.equal(matchesTaskView('today', task({ dueDate: new Date('2026-10-19T15:00:00Z') }), today), true);
+  assert.equal(matchesTaskView('upcoming', due('2026-10-19'), today), false);
+  assert.equal(matchesTaskView('upcoming', due('2026-10-20'), today), true);
+  assert.equal(matchesTaskView('upcoming', due('2026-10-26'), today), true);
+  assert.equal(matchesTaskView('upcoming', due('2026-10-27'), today), false);
+});
+
+test('matchesTaskView keeps someday for tasks with no due date, day or recurrence', () => {
+  assert.equal(matchesTaskView('someday', task({ projectId: 'p' }), today), true);
+  assert.equal(matchesTaskView('someday', task({ date: today }), today), false);
+  assert.equal(matchesTaskView('someday', task({ dueDate: today }), today), false);
+  assert.equal(matchesTaskView('someday', task({ recurrenceRule: 'FREQ=DAILY', occurrence: null }), today), false);
+  assert.equal(matchesTaskView('highPriority', task({ priority: 'high' }), today), true);
+  assert.equal(matchesTaskView('unknown', task({}), today), false);
+});
+
+test('taskViewCounts counts a task in every view it matches', () => {
+  const counts = taskViewCounts(
+    [task({ priority: 'high', dueDate: new Date('2026-10-01') }), task({}), task({ dueDate: new Date('2026-10-22') })],
+    today
+  );
+  assert.deepEqual(counts, { overdue: 1, today: 0, upcoming: 1, someday: 1, highPriority: 1 });
+});
+
+test('compareViewTasks orders by due date, undated last, then priority', () => {
+  const tasks = [
+    task({ title: 'undated', priority: 'high' }),
+    task({ title: 'later', dueDate: new Date('2026-10-25') }),
+    task({ title: 'soon low', priority: 'low', dueDate: new Date('2026-10-20') }),
+    task({ title: 'soon high', priority: 'high', dueDate: new Date('2026-10-20') }),
+  ];
+  assert.deepEqual(tasks.sort(compareViewTasks).map((t) => t.title), ['soon high', 'soon low', 'later', 'undated']);
+});
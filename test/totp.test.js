@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  base32Decode,
+  base32Encode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hotp,
+  normalizeRecoveryCode,
+  verifyTotp,
+} from '../utils/totp.js';
+
+// RFC 6238 appendix B shared secret (ASCII "12345678901234567890")
+const rfcKey = Buffer.from('12345678901234567890');
+const rfcSecret = base32Encode(rfcKey);
+
+test('base32 round-trips and matches RFC 4648 vectors', () => {
+  assert.equal(base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+  assert.deepEqual(base32Decode('mzxw 6ytb oi=='), Buffer.from('foobar'));
+  assert.throws(() => base32Decode('M1'), /Invalid base32/);
+});
+
+test('hotp matches RFC 4226 test values', () => {
+  assert.equal(hotp(rfcKey, 0), '755224');
+  assert.equal(hotp(rfcKey, 9), '520489');
+});
+
+test('verifyTotp accepts RFC 6238 codes within the drift window', () => {
+  // T = 59s -> 94287082 (8 digits); the 6-digit code is its last six digits
+  assert.equal(verifyTotp(rfcSecret, '287082', { time: 59_000 }), 1);
+  assert.equal(verifyTotp(rfcSecret, '287082', { time: 89_000 }), 1);
+  assert.equal(verifyTotp(rfcSecret, '287082', { time: 200_000 }), null);
+});
+
+test('verifyTotp rejects replayed steps and malformed codes', () => {
+  assert.equal(verifyTotp(rfcSecret, '287082', { time: 59_000, afterStep: 1 }), null);
+  assert.equal(verifyTotp(rfcSecret, '28708', { time: 59_000 }), null);
+  assert.equal(verifyTotp(rfcSecret, undefined, { time: 59_000 }), null);
+});
+
+test('buildOtpauthUri encodes issuer and account', () => {
+  const uri = buildOtpauthUri({ secret: 'ABC', accountName: 'a@b.com', issuer: 'Life Tracker' });
+  assert.ok(uri.startsWith('otpauth://totp/Life%20Tracker%3Aa%40b.com?'));
+  assert.ok(uri.includes('secret=ABC'));
+});
+
+test('recovery codes are unique and normalize without dashes', () => {
+  const codes = generateRecoveryCodes();
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  assert.match(codes[0], /^[a-z2-7]{5}-[a-z2-7]{5}$/);
+  assert.equal(normalizeRecoveryCode(' ABCDE-fghij '), 'abcdefghij');
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeUserAgent } from '../utils/userAgent.js';
+
+test('describeUserAgent labels common browsers', () => {
+  assert.equal(
+    describeUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36'),
+    'Chrome on Windows'
+  );
+  assert.equal(
+    describeUserAgent('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'),
+    'Safari on iOS'
+  );
+  assert.equal(
+    describeUserAgent('Mozilla/5.0 (Windows NT 10.0) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36 Edg/120.0'),
+    'Edge on Windows'
+  );
+});
+
+test('describeUserAgent falls back for scripts and missing headers', () => {
+  assert.equal(describeUserAgent('curl/8.4.0'), 'curl');
+  assert.equal(describeUserAgent(undefined), 'Unknown device');
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { busiestMonths, isYearReportFresh, topValues, yearMonths } from '../utils/yearReport.js';
+
+test('isYearReportFresh keeps reports computed after the year ended for a day', () => {
+  const now = new Date('2027-01-01T12:00:00Z');
+  assert.equal(isYearReportFresh(new Date('2027-01-01T00:30:00Z'), 2026, 'UTC', now), true);
+  // Still 2026 in New York when computed, so it may have missed the last evening
+  assert.equal(isYearReportFresh(new Date('2027-01-01T00:30:00Z'), 2026, 'America/New_York', now), false);
+  assert.equal(isYearReportFresh(null, 2026, 'UTC', now), false);
+  // Later edits to the year are picked up by the next day
+  assert.equal(isYearReportFresh(new Date('2027-01-01T00:30:00Z'), 2026, 'UTC', new Date('2027-01-02T01:00:00Z')), false);
+});
+
+test('isYearReportFresh expires reports of a running year', () => {
+  const computedAt = new Date('2026-06-01T10:00:00Z');
+  assert.equal(isYearReportFresh(computedAt, 2026, 'UTC', new Date('2026-06-01T10:30:00Z')), true);
+  assert.equal(isYearReportFresh(computedAt, 2026, 'UTC', new Date('2026-06-01T11:30:00Z')), false);
+});
+
+test('busiestMonths ranks non-empty months, earlier month first on ties', () => {
+  const months = yearMonths(2026).map((month, i) => ({ month, total: [0, 5, 9, 5][i] ?? 0 }));
+  assert.equal(months.length, 12);
+  assert.deepEqual(
+    busiestMonths(months).map((m) => m.month),
+    ['2026-03', '2026-02', '2026-04']
+  );
+  assert.deepEqual(busiestMonths(months.map((m) => ({ ...m, total: 0 }))), []);
+});
+
+test('topValues counts case-insensitively and keeps the common spelling', () => {
+  assert.deepEqual(topValues(['Work', 'work', 'Work', 'ideas', ' ', 'Ideas', 'misc'], 2), [
+    { value: 'Work', count: 3 },
+    { value: 'ideas', count: 2 },
+  ]);
+});
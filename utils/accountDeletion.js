@@ -0,0 +1,24 @@
+/** Days a deleted account can still be restored before its data is purged. */
+export const DEFAULT_DELETION_GRACE_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ACCOUNT_DELETION_GRACE_DAYS, or the default when unset or invalid. 0 disables the grace
+ * period: deletions are purged right away.
+ */
+export function getDeletionGraceDays(env = process.env) {
+  const raw = env.ACCOUNT_DELETION_GRACE_DAYS;
+  if (raw === undefined || raw === '') return DEFAULT_DELETION_GRACE_DAYS;
+  const days = Number(raw);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_DELETION_GRACE_DAYS;
+}
+
+/** When an account deleted at `now` is purged. */
+export function deletionScheduledFor(graceDays, now = new Date()) {
+  return new Date(now.getTime() + graceDays * DAY_MS);
+}
+
+/** @param {{ deletionScheduledFor?: Date|null }} user */
+export function isPendingDeletion(user) {
+  return !!user?.deletionScheduledFor;
+}
@@ -0,0 +1,31 @@
+const MAX_KEY_LENGTH = 40;
+
+/**
+ * Activity key for a new category name: lowercase ASCII words joined by dashes
+ * ("Screen time" -> "screen-time"). Names without any latin letters or digits get "category".
+ */
+export function categoryKeyFromName(name) {
+  const key = String(name ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_KEY_LENGTH)
+    .replace(/-+$/, '');
+  return key || 'category';
+}
+
+/**
+ * `base`, or `base-2`, `base-3`, … when already taken.
+ * @param {string} base
+ * @param {Iterable<string>} takenKeys
+ */
+export function uniqueCategoryKey(base, takenKeys) {
+  const taken = new Set(takenKeys);
+  if (!taken.has(base)) return base;
+  for (let n = 2; ; n += 1) {
+    const candidate = `${base}-${n}`;
+    if (!taken.has(candidate)) return candidate;
+  }
+}
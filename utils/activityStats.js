@@ -0,0 +1,129 @@
+import { addDays, dayKey, diffDays, eachDay, startOfWeek } from './dates.js';
+
+/**
+ * Aggregates for GET /api/activities/stats. Works on day values (see utils/dates.js) and
+ * stored activity values: numbers count as-is, booleans as 1/0; text and enum values only
+ * contribute to `count`.
+ */
+
+export const GRANULARITIES = ['day', 'week', 'month'];
+
+export function numericValue(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return null;
+}
+
+function round(n) {
+  return n === null ? null : Math.round(n * 1000) / 1000;
+}
+
+/**
+ * @param {unknown[]} values stored activity values
+ * @returns {{ count: number, sum: number|null, avg: number|null, min: number|null, max: number|null }}
+ */
+export function summarize(values) {
+  const nums = values.map(numericValue).filter((n) => n !== null);
+  if (nums.length === 0) return { count: values.length, sum: null, avg: null, min: null, max: null };
+  const sum = nums.reduce((a, b) => a + b, 0);
+  return {
+    count: values.length,
+    sum: round(sum),
+    avg: round(sum / nums.length),
+    min: Math.min(...nums),
+    max: Math.max(...nums),
+  };
+}
+
+/** First day of the day/week/month bucket containing `day`. */
+export function bucketStart(day, granularity, weekStart = 0) {
+  if (granularity === 'week') return startOfWeek(day, weekStart);
+  if (granularity === 'month') return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+  return day;
+}
+
+/** Absolute and relative change from `previous` to `current` (null when either is missing). */
+export function delta(current, previous) {
+  if (current === null || previous === null || current === undefined || previous === undefined) {
+    return { change: null, percent: null };
+  }
+  return {
+    change: round(current - previous),
+    percent: previous === 0 ? null : round(((current - previous) / Math.abs(previous)) * 100),
+  };
+}
+
+/**
+ * Stats for one category over [from, to].
+ *
+ * `activities` may start before `from`: earlier entries feed the rolling average and the
+ * previous-period comparison (the same number of days immediately before `from`).
+ *
+ * @param {{ date: Date, value: unknown }[]} activities
+ * @param {{ from: Date, to: Date, granularity?: string, weekStart?: number, window?: number }} opts
+ */
+export function buildCategoryStats(activities, { from, to, granularity = 'day', weekStart = 0, window = 7 }) {
+  const byDay = new Map();
+  for (const a of activities) {
+    const key = dayKey(a.date);
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(a.value);
+  }
+  const valuesBetween = (start, end) =>
+    eachDay(start, end).flatMap((d) => byDay.get(dayKey(d)) || []);
+
+  // Buckets are clipped to the requested range so partial weeks/months are not padded
+  const buckets = [];
+  let current = null;
+  for (const day of eachDay(from, to)) {
+    const start = bucketStart(day, granularity, weekStart);
+    if (!current || current.start.getTime() !== start.getTime()) {
+      current = { start, days: [] };
+      buckets.push(current);
+    }
+    current.days.push(day);
+  }
+  let previousBucket = null;
+  const series = buckets.map(({ start, days }) => {
+    const summary = summarize(days.flatMap((d) => byDay.get(dayKey(d)) || []));
+    const entry = {
+      period: granularity === 'month' ? dayKey(start).slice(0, 7) : dayKey(start),
+      from: dayKey(days[0]),
+      to: dayKey(days[days.length - 1]),
+      ...summary,
+      delta: {
+        sum: delta(summary.sum, previousBucket?.sum),
+        avg: delta(summary.avg, previousBucket?.avg),
+      },
+    };
+    previousBucket = summary;
+    return entry;
+  });
+
+  // Trailing mean of the daily averages over `window` days, skipping days without entries
+  const rolling = eachDay(from, to).map((day) => {
+    const dailyAvgs = eachDay(addDays(day, -(window - 1)), day)
+      .map((d) => summarize(byDay.get(dayKey(d)) || []).avg)
+      .filter((avg) => avg !== null);
+    return {
+      date: dayKey(day),
+      avg: dailyAvgs.length ? round(dailyAvgs.reduce((a, b) => a + b, 0) / dailyAvgs.length) : null,
+      days: dailyAvgs.length,
+    };
+  });
+
+  const length = diffDays(from, to) + 1;
+  const total = summarize(valuesBetween(from, to));
+  const previous = summarize(valuesBetween(addDays(from, -length), addDays(from, -1)));
+  return {
+    total,
+    previous,
+    delta: {
+      sum: delta(total.sum, previous.sum),
+      avg: delta(total.avg, previous.avg),
+      count: delta(total.count, previous.count),
+    },
+    series,
+    rolling,
+  };
+}
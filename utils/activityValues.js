@@ -0,0 +1,195 @@
+/**
+ * Typed activity values. Each activity category declares a `valueType`; values are
+ * validated and coerced against it before they are stored, so charts always read one shape:
+ *
+ * - number   finite number within the category's optional min/max, in the category's unit
+ * - scale    integer from 1 to 10
+ * - boolean  true/false (also "yes"/"no", 1/0)
+ * - duration whole minutes; accepts minutes, "1h 30m", "1:30" or another time unit
+ * - enum     one of the category's `options`
+ * - text     free text
+ */
+
+export const VALUE_TYPES = ['number', 'scale', 'boolean', 'duration', 'enum', 'text'];
+export const SCALE_MIN = 1;
+export const SCALE_MAX = 10;
+export const MAX_TEXT_LENGTH = 1000;
+
+/** Conversion factors to a base unit, grouped by dimension. Aliases share a factor. */
+const UNIT_GROUPS = [
+  { min: 1, mins: 1, minute: 1, minutes: 1, h: 60, hr: 60, hrs: 60, hour: 60, hours: 60, s: 1 / 60, sec: 1 / 60, seconds: 1 / 60 },
+  { kg: 1000, g: 1, gram: 1, grams: 1, lb: 453.59237, lbs: 453.59237, oz: 28.349523125 },
+  { km: 1000, m: 1, meter: 1, meters: 1, mi: 1609.344, mile: 1609.344, miles: 1609.344, ft: 0.3048 },
+  { l: 1000, liter: 1000, liters: 1000, ml: 1, cup: 240, cups: 240 },
+];
+
+// Inside duration strings ("1h 30m") a bare "m" means minutes, not meters
+const DURATION_UNITS = { ...UNIT_GROUPS[0], m: 1 };
+
+const TRUE_WORDS = new Set(['true', 'yes', 'y', '1', 'on', 'done']);
+const FALSE_WORDS = new Set(['false', 'no', 'n', '0', 'off']);
+
+function fieldError(path, msg, value) {
+  return { type: 'field', path, msg, value, location: 'body' };
+}
+
+/**
+ * Factor converting `from` into `to` (case-insensitive), or null when the units are
+ * unrelated or unknown.
+ */
+export function unitConversionFactor(from, to) {
+  const a = String(from ?? '').trim().toLowerCase();
+  const b = String(to ?? '').trim().toLowerCase();
+  if (a === b) return 1;
+  const group = UNIT_GROUPS.find((g) => g[a] !== undefined && g[b] !== undefined);
+  return group ? group[a] / group[b] : null;
+}
+
+/**
+ * Parses "90", "1h30m", "1h 30min", "1.5h", "45s" or "1:30" (h:mm) into minutes.
+ * @returns {number|null}
+ */
+export function parseDurationMinutes(input) {
+  if (typeof input === 'number') return Number.isFinite(input) ? input : null;
+  const s = String(input ?? '').trim().toLowerCase();
+  if (!s) return null;
+  if (/^\d+(\.\d+)?$/.test(s)) return Number(s);
+  const clock = /^(\d+):([0-5]\d)$/.exec(s);
+  if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+  const parts = s.match(/\d+(?:\.\d+)?\s*[a-z]+/g);
+  if (!parts || parts.join('').replace(/\s+/g, '') !== s.replace(/\s+/g, '')) return null;
+  let minutes = 0;
+  for (const part of parts) {
+    const [, amount, unit] = /^(\d+(?:\.\d+)?)\s*([a-z]+)$/.exec(part);
+    const factor = DURATION_UNITS[unit];
+    if (factor === undefined) return null;
+    minutes += Number(amount) * factor;
+  }
+  return minutes;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+/**
+ * Validates and coerces an activity value against its category.
+ * @param {{ valueType?: string, unit?: string, min?: number|null, max?: number|null, options?: string[] }} category
+ * @param {{ value: unknown, unit?: string }} input `unit` is the unit the client sent, if any
+ * @returns {{ value?: unknown, unit?: string, errors: object[] }} field-level errors shaped like express-validator's
+ */
+export function normalizeActivityValue(category, { value, unit }) {
+  const errors = [];
+  const targetUnit = category.unit || '';
+  const sentUnit = typeof unit === 'string' ? unit.trim() : '';
+
+  switch (category.valueType || 'number') {
+    case 'number': {
+      let n = toNumber(value);
+      if (!Number.isFinite(n)) {
+        errors.push(fieldError('value', 'Value must be a number', value));
+        break;
+      }
+      if (sentUnit && targetUnit) {
+        const factor = unitConversionFactor(sentUnit, targetUnit);
+        if (factor === null) {
+          errors.push(fieldError('unit', `Cannot convert ${sentUnit} to ${targetUnit}`, unit));
+          break;
+        }
+        n *= factor;
+      }
+      if (category.min != null && n < category.min) errors.push(fieldError('value', `Value must be at least ${category.min}`, value));
+      if (category.max != null && n > category.max) errors.push(fieldError('value', `Value must be at most ${category.max}`, value));
+      return { value: n, unit: targetUnit || sentUnit, errors };
+    }
+    case 'scale': {
+      const n = toNumber(value);
+      if (!Number.isInteger(n) || n < SCALE_MIN || n > SCALE_MAX) {
+        errors.push(fieldError('value', `Value must be a whole number from ${SCALE_MIN} to ${SCALE_MAX}`, value));
+        break;
+      }
+      return { value: n, unit: '', errors };
+    }
+    case 'boolean': {
+      const word = String(value).trim().toLowerCase();
+      if (TRUE_WORDS.has(word)) return { value: true, unit: '', errors };
+      if (FALSE_WORDS.has(word)) return { value: false, unit: '', errors };
+      errors.push(fieldError('value', 'Value must be true or false', value));
+      break;
+    }
+    case 'duration': {
+      let minutes = parseDurationMinutes(value);
+      if (minutes === null) {
+        errors.push(fieldError('value', 'Value must be a duration such as 90, "1h 30m" or "1:30"', value));
+        break;
+      }
+      if (sentUnit && typeof value !== 'string') {
+        const factor = unitConversionFactor(sentUnit, 'min');
+        if (factor === null) {
+          errors.push(fieldError('unit', `Cannot convert ${sentUnit} to minutes`, unit));
+          break;
+        }
+        minutes *= factor;
+      }
+      minutes = Math.round(minutes);
+      if (minutes < 0) errors.push(fieldError('value', 'Duration cannot be negative', value));
+      if (category.min != null && minutes < category.min) errors.push(fieldError('value', `Duration must be at least ${category.min} minutes`, value));
+      if (category.max != null && minutes > category.max) errors.push(fieldError('value', `Duration must be at most ${category.max} minutes`, value));
+      return { value: minutes, unit: 'min', errors };
+    }
+    case 'enum': {
+      const options = category.options || [];
+      const match = options.find((o) => o.toLowerCase() === String(value).trim().toLowerCase());
+      if (match === undefined) {
+        errors.push(fieldError('value', `Value must be one of: ${options.join(', ')}`, value));
+        break;
+      }
+      return { value: match, unit: '', errors };
+    }
+    case 'text': {
+      if (value !== null && typeof value === 'object') {
+        errors.push(fieldError('value', 'Value must be text', value));
+        break;
+      }
+      const text = String(value).trim();
+      if (!text) errors.push(fieldError('value', 'Value is required', value));
+      if (text.length > MAX_TEXT_LENGTH) errors.push(fieldError('value', `Value must be at most ${MAX_TEXT_LENGTH} characters`, value));
+      return { value: text, unit: targetUnit || sentUnit, errors };
+    }
+    default:
+      errors.push(fieldError('category', `Unsupported value type "${category.valueType}"`, category.valueType));
+  }
+  return { errors };
+}
+
+/** Timers record elapsed time: duration categories, or numbers kept in a time unit (e.g. hours). */
+export function supportsTimer(category) {
+  if (category.valueType === 'duration') return true;
+  return category.valueType === 'number' && !!category.unit && unitConversionFactor('min', category.unit) !== null;
+}
+
+/**
+ * Checks a category's value schema (after applying an update).
+ * @returns {object[]} field-level errors
+ */
+export function validateValueSchema({ valueType, min, max, options }) {
+  const errors = [];
+  if (!VALUE_TYPES.includes(valueType)) {
+    errors.push(fieldError('valueType', `valueType must be one of ${VALUE_TYPES.join(', ')}`, valueType));
+  }
+  if (min != null && !Number.isFinite(min)) errors.push(fieldError('min', 'min must be a number', min));
+  if (max != null && !Number.isFinite(max)) errors.push(fieldError('max', 'max must be a number', max));
+  if (Number.isFinite(min) && Number.isFinite(max) && min > max) errors.push(fieldError('max', 'max must not be below min', max));
+  if (valueType === 'enum') {
+    const list = Array.isArray(options) ? options : [];
+    const normalized = list.map((o) => String(o).trim().toLowerCase());
+    if (list.length === 0 || normalized.some((o) => !o)) {
+      errors.push(fieldError('options', 'enum categories need at least one non-empty option', options));
+    } else if (new Set(normalized).size !== normalized.length) {
+      errors.push(fieldError('options', 'options must be unique', options));
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,135 @@
+/**
+ * Export/import archive format. An archive is plain JSON:
+ *
+ *   { format, version, exportedAt, settings, collections: { projects: [...], tasks: [...], ... }, excluded }
+ *
+ * Documents keep their original `_id`s; on import every document gets a new id and
+ * references between archived documents are rewritten to match (see ARCHIVE_COLLECTIONS).
+ * `excluded` lists the per-user data deliberately left out (ARCHIVE_EXCLUDED).
+ */
+
+export const ARCHIVE_FORMAT = 'life-tracker-archive';
+export const ARCHIVE_VERSION = 1;
+
+/**
+ * Archived collections and the fields that point at other archived documents.
+ * `required` references drop the document when the target is missing from the archive;
+ * optional ones are cleared instead.
+ */
+export const ARCHIVE_COLLECTIONS = {
+  projects: { refs: { parentId: { to: 'projects' } } },
+  tasks: { refs: { projectId: { to: 'projects' } } },
+  taskCompletions: { refs: { taskId: { to: 'tasks', required: true } } },
+  habits: { refs: {} },
+  habitEntries: { refs: { habitId: { to: 'habits', required: true } } },
+  prayerEntries: { refs: {} },
+  streaks: { refs: {} },
+  activityCategories: { refs: {} },
+  activities: { refs: {} },
+  budgetCategories: { refs: {} },
+  transactions: { refs: { categoryId: { to: 'budgetCategories', required: true } } },
+  noteCategories: { refs: {} },
+  notes: { refs: { projectIds: { to: 'projects' } } },
+  references: { refs: { projectIds: { to: 'projects' } } },
+};
+
+/** Per-user collections that are not archived, with the reason (written into every archive). */
+export const ARCHIVE_EXCLUDED = {
+  reviews: 'Derived from the archived data; regenerate them with POST /api/reviews/:period',
+  yearReports: 'Cache of GET /api/reports/year/:year; recomputed on demand',
+  activityTimers: 'Running timers belong to the instance they were started on; stop them before exporting',
+  sessions: 'Sign-in sessions are credentials of this instance',
+  userTokens: 'One-time password reset and email verification links expire within hours',
+  apiTokens: 'Personal API tokens are credentials of this instance',
+  authEvents: 'Security audit log of this instance',
+};
+
+// Owner and bookkeeping fields are never taken from an archive
+const STRIPPED_FIELDS = ['_id', 'userId', '__v'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {unknown} archive
+ * @returns {string[]} problems with the archive's envelope (empty when importable)
+ */
+export function validateArchive(archive) {
+  if (!isPlainObject(archive)) return ['Archive must be a JSON object'];
+  const problems = [];
+  if (archive.format !== ARCHIVE_FORMAT) problems.push(`format must be "${ARCHIVE_FORMAT}"`);
+  if (!Number.isInteger(archive.version) || archive.version < 1) {
+    problems.push('version must be a positive integer');
+  } else if (archive.version > ARCHIVE_VERSION) {
+    problems.push(`Archive version ${archive.version} is newer than this server supports (${ARCHIVE_VERSION})`);
+  }
+  if (!isPlainObject(archive.collections)) {
+    problems.push('collections must be an object');
+    return problems;
+  }
+  for (const [name, docs] of Object.entries(archive.collections)) {
+    if (!ARCHIVE_COLLECTIONS[name]) {
+      problems.push(`Unknown collection "${name}"`);
+    } else if (!Array.isArray(docs) || !docs.every((d) => isPlainObject(d) && d._id != null)) {
+      problems.push(`${name} must be an array of documents with an _id`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Assigns new ids to every archived document and rewrites references between them.
+ *
+ * `reuse` maps archived ids onto documents the user already has (e.g. a budget category
+ * with the same name): those documents are not re-inserted, but references to them point
+ * at the existing id.
+ *
+ * @param {Record<string, object[]>} collections validated archive collections
+ * @param {{ userId: unknown, createId: () => unknown, reuse?: Record<string, Map<string, unknown>> }} opts
+ * @returns {{ collections: Record<string, object[]>, skipped: Record<string, number> }}
+ *   documents ready to insert, and per-collection counts dropped for a missing required reference
+ */
+export function remapArchive(collections, { userId, createId, reuse = {} }) {
+  const idMaps = {};
+  for (const name of Object.keys(ARCHIVE_COLLECTIONS)) {
+    const map = new Map(reuse[name] || []);
+    for (const doc of collections[name] || []) {
+      const oldId = String(doc._id);
+      if (!map.has(oldId)) map.set(oldId, createId());
+    }
+    idMaps[name] = map;
+  }
+
+  const result = {};
+  const skipped = {};
+  for (const [name, { refs }] of Object.entries(ARCHIVE_COLLECTIONS)) {
+    const docs = [];
+    skipped[name] = 0;
+    for (const doc of collections[name] || []) {
+      if (reuse[name]?.has(String(doc._id))) continue;
+      const out = { ...doc };
+      for (const field of STRIPPED_FIELDS) delete out[field];
+      out._id = idMaps[name].get(String(doc._id));
+      out.userId = userId;
+
+      let orphaned = false;
+      for (const [field, { to, required }] of Object.entries(refs)) {
+        const value = doc[field];
+        if (Array.isArray(value)) {
+          out[field] = value.map((id) => idMaps[to].get(String(id))).filter((id) => id !== undefined);
+        } else if (value != null) {
+          const mapped = idMaps[to].get(String(value));
+          if (mapped === undefined && required) orphaned = true;
+          out[field] = mapped ?? null;
+        } else if (required) {
+          orphaned = true;
+        }
+      }
+      if (orphaned) skipped[name] += 1;
+      else docs.push(out);
+    }
+    result[name] = docs;
+  }
+  return { collections: result, skipped };
+}
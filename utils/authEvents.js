@@ -0,0 +1,18 @@
+import AuthEvent from '../models/AuthEvent.js';
+
+export function requestUserAgent(req) {
+  return String(req.get('user-agent') || '').slice(0, 512);
+}
+
+/**
+ * Records an AuthEvent for the request's IP and user agent. Best-effort: a failed audit
+ * write must not block authentication or account changes.
+ */
+export async function audit(req, userId, type, details = null) {
+  try {
+    await AuthEvent.create({ userId, type, ip: req.ip || '', userAgent: requestUserAgent(req), details });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[auth] audit log write failed:', err);
+  }
+}
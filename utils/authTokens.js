@@ -0,0 +1,92 @@
+import crypto from 'node:crypto';
+import jwt from 'jsonwebtoken';
+import { getJwtSecret } from './jwtConfig.js';
+
+/** Access tokens are short-lived; the refresh token keeps the session alive. */
+export const ACCESS_TOKEN_TTL = '15m';
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * @param {import('mongoose').Types.ObjectId|string} userId
+ * @param {import('mongoose').Types.ObjectId|string} sessionId
+ */
+export function signAccessToken(userId, sessionId) {
+  return jwt.sign({ userId: String(userId), sid: String(sessionId) }, getJwtSecret(), {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+export function verifyAccessToken(token) {
+  return jwt.verify(token, getJwtSecret());
+}
+
+const TWO_FACTOR_CHALLENGE_PURPOSE = '2fa_challenge';
+
+/**
+ * Issued after a correct password when 2FA is on; exchanged for real tokens with a code.
+ * Carries no session id, so `protect` never accepts it.
+ */
+export function signTwoFactorChallenge(userId) {
+  return jwt.sign({ userId: String(userId), purpose: TWO_FACTOR_CHALLENGE_PURPOSE }, getJwtSecret(), {
+    expiresIn: '5m',
+  });
+}
+
+/** @returns {string|null} user id, or null if invalid/expired/not a challenge token */
+export function verifyTwoFactorChallenge(token) {
+  try {
+    const decoded = jwt.verify(token, getJwtSecret());
+    return decoded.purpose === TWO_FACTOR_CHALLENGE_PURPOSE ? decoded.userId : null;
+  } catch {
+    return null;
+  }
+}
+
+/** SHA-256 hex digest; only hashes of opaque tokens are stored. */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Random URL-safe token for emailed links and similar one-off secrets.
+ * @returns {{ token: string, hash: string }}
+ */
+export function generateOpaqueToken(bytes = 32) {
+  const token = crypto.randomBytes(bytes).toString('base64url');
+  return { token, hash: hashToken(token) };
+}
+
+/** Personal API tokens are recognisable by prefix so `protect` can skip JWT parsing. */
+export const API_TOKEN_PREFIX = 'ltp_';
+
+/** @returns {{ token: string, hash: string, prefix: string }} */
+export function generateApiToken() {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { token, hash: hashToken(token), prefix: token.slice(0, API_TOKEN_PREFIX.length + 6) };
+}
+
+export function isApiToken(token) {
+  return typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+}
+
+/**
+ * Refresh tokens are `<sessionId>.<random>` so the session can be looked up
+ * without scanning hashes.
+ * @returns {{ token: string, hash: string }}
+ */
+export function generateRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const token = `${sessionId}.${secret}`;
+  return { token, hash: hashToken(token) };
+}
+
+/**
+ * @param {unknown} token
+ * @returns {string|null} session id, or null if the token is malformed
+ */
+export function parseRefreshToken(token) {
+  if (typeof token !== 'string') return null;
+  const [sessionId, secret, ...rest] = token.split('.');
+  if (rest.length > 0 || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return sessionId;
+}
@@ -0,0 +1,121 @@
+import { addDays, dayKey } from './dates.js';
+
+/**
+ * Pairwise correlations between daily metrics for GET /api/insights/correlations.
+ * A metric is a `Map` of "YYYY-MM-DD" -> number; days without a value are skipped
+ * rather than treated as zero.
+ */
+
+export const DEFAULT_MIN_SAMPLES = 10;
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+/** Pearson's r, or null when either side has no variance or fewer than 3 pairs. */
+export function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 3 || ys.length !== n) return null;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i += 1) {
+    const dx = xs[i] - mx;
+    const dy = ys[i] - my;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+  if (sxx === 0 || syy === 0) return null;
+  return Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)));
+}
+
+// Abramowitz & Stegun 7.1.26 (|error| < 1.5e-7)
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y =
+    1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return sign * y;
+}
+
+/**
+ * Two-sided p-value for r != 0 using the Fisher z-transform (normal approximation).
+ * @returns {number|null}
+ */
+export function correlationPValue(r, n) {
+  if (r === null || n < 4) return null;
+  if (Math.abs(r) === 1) return 0;
+  const z = Math.abs(Math.atanh(r)) * Math.sqrt(n - 3);
+  return Math.max(0, 1 - erf(z / Math.SQRT2));
+}
+
+/** Conventional labels for |r|. */
+export function correlationStrength(r) {
+  const a = Math.abs(r);
+  if (a < 0.1) return 'negligible';
+  if (a < 0.3) return 'weak';
+  if (a < 0.5) return 'moderate';
+  return 'strong';
+}
+
+/**
+ * Pairs x on day d with y on day d + lag, over the given days of x.
+ * @param {Map<string, number>} x
+ * @param {Map<string, number>} y
+ * @param {Date[]} days
+ */
+export function laggedPairs(x, y, days, lag = 0) {
+  const xs = [];
+  const ys = [];
+  for (const day of days) {
+    const a = x.get(dayKey(day));
+    const b = y.get(dayKey(addDays(day, lag)));
+    if (a !== undefined && b !== undefined) {
+      xs.push(a);
+      ys.push(b);
+    }
+  }
+  return { xs, ys };
+}
+
+/**
+ * Correlates every pair of metrics at lags 0..maxLag. At lag 0 each unordered pair appears
+ * once; at lag k > 0 both directions are tried ("a today vs b in k days" and the reverse).
+ *
+ * A metric with `group` is part of the aggregate metric whose id is that group (a habit and
+ * the overall habit rate); such pairs are skipped as trivially correlated.
+ *
+ * @param {{ id: string, label: string, group?: string, values: Map<string, number> }[]} metrics
+ * @param {{ days: Date[], maxLag?: number, minSamples?: number }} opts
+ *   `days` are the days x is read on; y may be read up to maxLag days later
+ * @returns results sorted by |r|, strongest first
+ */
+export function computeCorrelations(metrics, { days, maxLag = 1, minSamples = DEFAULT_MIN_SAMPLES }) {
+  const results = [];
+  for (let i = 0; i < metrics.length; i += 1) {
+    for (let j = 0; j < metrics.length; j += 1) {
+      if (i === j || metrics[i].group === metrics[j].id || metrics[j].group === metrics[i].id) continue;
+      for (let lag = 0; lag <= maxLag; lag += 1) {
+        if (lag === 0 && j < i) continue;
+        const a = metrics[i];
+        const b = metrics[j];
+        const { xs, ys } = laggedPairs(a.values, b.values, days, lag);
+        if (xs.length < minSamples) continue;
+        const r = pearson(xs, ys);
+        if (r === null) continue;
+        const pValue = correlationPValue(r, xs.length);
+        results.push({
+          x: { id: a.id, label: a.label },
+          y: { id: b.id, label: b.label },
+          lag,
+          r: Math.round(r * 1000) / 1000,
+          sampleSize: xs.length,
+          pValue: pValue === null ? null : Math.round(pValue * 10000) / 10000,
+          significant: pValue !== null && pValue < SIGNIFICANCE_LEVEL,
+          strength: correlationStrength(r),
+        });
+      }
+    }
+  }
+  return results.sort((p, q) => Math.abs(q.r) - Math.abs(p.r));
+}
@@ -0,0 +1,221 @@
+/**
+ * Calendar-day helpers shared by every router.
+ *
+ * A "day value" is the user's local calendar date stored as UTC midnight
+ * (2026-02-12 -> 2026-02-12T00:00:00.000Z). Day values compare and key by their UTC
+ * fields regardless of the server's zone; converting an instant into one needs the
+ * user's IANA timezone (settings.timezone).
+ */
+
+export const DEFAULT_TIMEZONE = 'UTC';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+// How clients serialized day-only fields before timezone support (`date.toISOString()`)
+const UTC_MIDNIGHT_RE = /^(\d{4})-(\d{2})-(\d{2})T00:00(?::00(?:\.0+)?)?(?:Z|[+-]00:?00)$/;
+
+const formatterCache = new Map();
+
+function getDayFormatter(timeZone) {
+  let fmt = formatterCache.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+    formatterCache.set(timeZone, fmt);
+  }
+  return fmt;
+}
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getDayFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** @param {{ settings?: { timezone?: string } }|null|undefined} user */
+export function userTimeZone(user) {
+  const tz = user?.settings?.timezone;
+  return tz && isValidTimeZone(tz) ? tz : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Local calendar day of `input` in `timeZone`, as a day value.
+ * Date-only strings ("2026-02-12") already name a calendar day and are taken as-is; other
+ * timestamps and Date objects are instants.
+ * @param {string|number|Date} input
+ * @param {string} [timeZone]
+ */
+export function toLocalDay(input, timeZone = DEFAULT_TIMEZONE) {
+  if (typeof input === 'string') {
+    const m = DATE_ONLY_RE.exec(input.trim());
+    if (m) return new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  }
+  const instant = input instanceof Date ? input : new Date(input);
+  if (Number.isNaN(instant.getTime())) return new Date(NaN);
+  const parts = getDayFormatter(timeZone).formatToParts(instant);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return new Date(Date.UTC(get('year'), get('month') - 1, get('day')));
+}
+
+/**
+ * Day named by a day-only request field (a `date` body, `from`/`to` params), as a day value.
+ * Like toLocalDay, but UTC-midnight timestamp strings ("2026-02-12T00:00:00.000Z") are taken
+ * as the day they name: that is how clients sent day values before timezone support.
+ * @param {string|number|Date} input
+ * @param {string} [timeZone]
+ */
+export function toRequestDay(input, timeZone = DEFAULT_TIMEZONE) {
+  const m = typeof input === 'string' && UTC_MIDNIGHT_RE.exec(input.trim());
+  if (m) return new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return toLocalDay(input, timeZone);
+}
+
+const offsetFormatterCache = new Map();
+
+function getOffsetFormatter(timeZone) {
+  let fmt = offsetFormatterCache.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+    offsetFormatterCache.set(timeZone, fmt);
+  }
+  return fmt;
+}
+
+/** Offset of `timeZone` from UTC at `instant`, in ms (positive east of Greenwich). */
+export function timeZoneOffsetMs(instant, timeZone = DEFAULT_TIMEZONE) {
+  const parts = getOffsetFormatter(timeZone).formatToParts(instant);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// Longest clock jump searched past when a zone skips local midnight
+const MAX_DST_SHIFT_S = 3 * 60 * 60;
+
+/**
+ * The instant `day` (a day value) starts in `timeZone`: local midnight, or the first valid
+ * local time where a DST change skips 00:00 (e.g. America/Sao_Paulo until 2019).
+ */
+export function localMidnight(day, timeZone = DEFAULT_TIMEZONE) {
+  const guess = day.getTime() - timeZoneOffsetMs(day, timeZone);
+  // Re-check at the guess: the offset differs when a DST change falls between the two
+  const midnight = new Date(day.getTime() - timeZoneOffsetMs(new Date(guess), timeZone));
+  if (toLocalDay(midnight, timeZone) >= day) return midnight;
+
+  // 00:00 does not exist that night, so the day begins at the jump: find the first second on it
+  let before = Math.floor(midnight.getTime() / 1000);
+  let after = before + MAX_DST_SHIFT_S;
+  while (after - before > 1) {
+    const mid = Math.floor((before + after) / 2);
+    if (toLocalDay(new Date(mid * 1000), timeZone) >= day) after = mid;
+    else before = mid;
+  }
+  return new Date(after * 1000);
+}
+
+/**
+ * Splits the interval [start, end) at local midnights.
+ * @returns {{ day: Date, start: Date, end: Date }[]} one piece per local day touched
+ */
+export function splitByLocalDay(start, end, timeZone = DEFAULT_TIMEZONE) {
+  const pieces = [];
+  let pieceStart = start;
+  while (pieceStart < end) {
+    const day = toLocalDay(pieceStart, timeZone);
+    const nextMidnight = localMidnight(addDays(day, 1), timeZone);
+    const pieceEnd = nextMidnight < end ? nextMidnight : end;
+    pieces.push({ day, start: pieceStart, end: pieceEnd });
+    pieceStart = pieceEnd;
+  }
+  return pieces;
+}
+
+/** Today's day value in `timeZone`. */
+export function today(timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+  return toLocalDay(now, timeZone);
+}
+
+export function addDays(day, n) {
+  return new Date(day.getTime() + n * DAY_MS);
+}
+
+/** "YYYY-MM-DD" key for a stored day value. */
+export function dayKey(day) {
+  return new Date(day).toISOString().slice(0, 10);
+}
+
+/** Whole days from `a` to `b` (day values). */
+export function diffDays(a, b) {
+  return Math.round((b.getTime() - a.getTime()) / DAY_MS);
+}
+
+/** Every day value from `start` to `end`, inclusive. */
+export function eachDay(start, end) {
+  const days = [];
+  for (let d = start; d <= end; d = addDays(d, 1)) days.push(d);
+  return days;
+}
+
+/**
+ * @param {Date} day
+ * @param {number} [weekStart] 0 = Sunday … 6 = Saturday
+ */
+export function startOfWeek(day, weekStart = 0) {
+  const offset = (day.getUTCDay() - weekStart + 7) % 7;
+  return addDays(day, -offset);
+}
+
+export function startOfMonth(day) {
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+}
+
+/** Last day of the month containing `day`. */
+export function endOfMonth(day) {
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0));
+}
+
+/** First and last day of a calendar month (month is 0-based). */
+export function monthRange(year, month) {
+  const startDate = new Date(Date.UTC(year, month, 1));
+  return { startDate, endDate: endOfMonth(startDate) };
+}
+
+/**
+ * Inclusive day range of the week/month/year containing `day`.
+ * @param {'week'|'month'|'year'} period
+ */
+export function periodRange(period, day, weekStart = 0) {
+  switch (period) {
+    case 'week': {
+      const startDate = startOfWeek(day, weekStart);
+      return { startDate, endDate: addDays(startDate, 6) };
+    }
+    case 'year':
+      return {
+        startDate: new Date(Date.UTC(day.getUTCFullYear(), 0, 1)),
+        endDate: new Date(Date.UTC(day.getUTCFullYear(), 11, 31)),
+      };
+    case 'month':
+    default:
+      return { startDate: startOfMonth(day), endDate: endOfMonth(day) };
+  }
+}
+
+/**
+ * Mongo filter for day values from `start` through `end` (inclusive).
+ * @returns {{ $gte: Date, $lt: Date }}
+ */
+export function dayRangeFilter(start, end) {
+  return { $gte: start, $lt: addDays(end, 1) };
+}
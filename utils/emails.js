@@ -0,0 +1,85 @@
+/**
+ * Transactional email bodies. Links point at the frontend (APP_URL), which calls the API.
+ */
+
+export function getAppUrl() {
+  const fromEnv = process.env.APP_URL || process.env.CLIENT_ORIGIN?.split(',')[0];
+  return (fromEnv || 'http://localhost:5173').trim().replace(/\/+$/, '');
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function actionEmail({ to, subject, greeting, intro, actionLabel, url, outro }) {
+  return {
+    to,
+    subject,
+    text: `${greeting}\n\n${intro}\n\n${url}\n\n${outro}`,
+    html:
+      `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(intro)}</p>` +
+      `<p><a href="${escapeHtml(url)}">${escapeHtml(actionLabel)}</a></p><p>${escapeHtml(outro)}</p>`,
+  };
+}
+
+/**
+ * @param {{ to: string, name: string, token: string, expiresInMinutes: number }} opts
+ */
+export function passwordResetEmail({ to, name, token, expiresInMinutes }) {
+  return actionEmail({
+    to,
+    subject: 'Reset your Life Tracker password',
+    greeting: `Hi ${name},`,
+    intro: `Someone asked to reset the password for your account. The link below is valid for ${expiresInMinutes} minutes and can be used once.`,
+    actionLabel: 'Reset password',
+    url: `${getAppUrl()}/reset-password?token=${encodeURIComponent(token)}`,
+    outro: 'If you did not request this, you can ignore this email; your password will not change.',
+  });
+}
+
+/**
+ * @param {{ to: string, name: string, token: string }} opts
+ */
+export function emailVerificationEmail({ to, name, token }) {
+  return actionEmail({
+    to,
+    subject: 'Confirm your Life Tracker email',
+    greeting: `Hi ${name},`,
+    intro: 'Please confirm this is your email address.',
+    actionLabel: 'Verify email',
+    url: `${getAppUrl()}/verify-email?token=${encodeURIComponent(token)}`,
+    outro: 'If you did not create an account, you can ignore this email.',
+  });
+}
+
+/**
+ * Sent to the new address; the change only applies once the link is opened.
+ * @param {{ to: string, name: string, token: string }} opts
+ */
+export function emailChangeEmail({ to, name, token }) {
+  return actionEmail({
+    to,
+    subject: 'Confirm your new Life Tracker email',
+    greeting: `Hi ${name},`,
+    intro: 'Open the link below to start using this address for your account.',
+    actionLabel: 'Confirm new email',
+    url: `${getAppUrl()}/confirm-email?token=${encodeURIComponent(token)}`,
+    outro: 'If you did not request this change, you can ignore this email.',
+  });
+}
+
+/**
+ * @param {{ to: string, name: string, scheduledFor: Date }} opts
+ */
+export function accountDeletionEmail({ to, name, scheduledFor }) {
+  const day = scheduledFor.toISOString().slice(0, 10);
+  return actionEmail({
+    to,
+    subject: 'Your Life Tracker account is scheduled for deletion',
+    greeting: `Hi ${name},`,
+    intro: `Your account and all of its data will be permanently deleted on ${day}. Until then you can restore it by signing in again from the link below.`,
+    actionLabel: 'Restore account',
+    url: `${getAppUrl()}/restore-account`,
+    outro: 'If you meant to delete your account, no further action is needed.',
+  });
+}
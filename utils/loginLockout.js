@@ -0,0 +1,24 @@
+/** Failed attempts allowed before the account starts locking. */
+export const LOCKOUT_THRESHOLD = 5;
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+
+/**
+ * Progressive lockout: 1 min at the threshold, doubling per further failure, capped at 1 h.
+ * @param {number} failedCount consecutive failures including the current one
+ * @returns {number} lock duration in ms (0 = not locked)
+ */
+export function lockoutDurationMs(failedCount) {
+  if (failedCount < LOCKOUT_THRESHOLD) return 0;
+  return Math.min(BASE_LOCKOUT_MS * 2 ** (failedCount - LOCKOUT_THRESHOLD), MAX_LOCKOUT_MS);
+}
+
+/**
+ * @param {{ lockedUntil?: Date|null }} user
+ * @returns {number} seconds until the lock lifts (0 when not locked)
+ */
+export function lockoutSecondsRemaining(user, now = Date.now()) {
+  if (!user?.lockedUntil) return 0;
+  const ms = new Date(user.lockedUntil).getTime() - now;
+  return ms > 0 ? Math.ceil(ms / 1000) : 0;
+}
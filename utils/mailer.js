@@ -0,0 +1,91 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import nodemailer from 'nodemailer';
+
+/**
+ * Mail transports share one shape: `send({ to, subject, text, html }) => Promise<void>`.
+ * MAIL_TRANSPORT picks one: `smtp` (production), `file` (writes JSON files for local
+ * testing) or `console` (default outside production).
+ */
+
+function getFrom() {
+  return process.env.MAIL_FROM || 'Life Tracker <no-reply@localhost>';
+}
+
+export function createSmtpTransport() {
+  const port = Number(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return {
+    name: 'smtp',
+    async send(message) {
+      await transporter.sendMail({ from: getFrom(), ...message });
+    },
+  };
+}
+
+export function createFileTransport(dir = process.env.MAIL_FILE_DIR || 'tmp/mail') {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+      await fs.writeFile(file, JSON.stringify({ from: getFrom(), ...message, sentAt: new Date() }, null, 2));
+    },
+  };
+}
+
+export function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      // eslint-disable-next-line no-console
+      console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+    },
+  };
+}
+
+/**
+ * @returns {{ name: string, send: (message: { to: string, subject: string, text: string, html?: string }) => Promise<void> }}
+ */
+export function createMailTransport(kind = process.env.MAIL_TRANSPORT) {
+  const selected = kind || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+  switch (selected) {
+    case 'smtp':
+      if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is required for MAIL_TRANSPORT=smtp');
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${selected}"`);
+  }
+}
+
+let transport = null;
+
+/** Send through the configured transport (created lazily on first use). */
+export function sendMail(message) {
+  if (!transport) transport = createMailTransport();
+  return transport.send(message);
+}
+
+/** Like sendMail, but logs a failure instead of throwing; `label` names the email in the log. */
+export async function sendMailSafely(message, label) {
+  try {
+    await sendMail(message);
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error(`[mail] ${label} email failed:`, err);
+  }
+}
+
+/** Swap the process-wide transport (tests, scripts). Pass null to reset. */
+export function setMailTransport(next) {
+  transport = next;
+}
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+/**
+ * Keyset ("cursor") pagination. A cursor is an opaque base64url token holding the sort
+ * value and `_id` of the last item on the previous page; the next page continues strictly
+ * after it, so inserts and deletes never shift or repeat items the way skip/limit does.
+ */
+
+/** @param {Date|number|string} value sort value of the last item */
+export function encodeCursor(value, id) {
+  const v = value instanceof Date ? { d: value.toISOString() } : { v: value };
+  return Buffer.from(JSON.stringify({ ...v, id: String(id) })).toString('base64url');
+}
+
+/** @returns {{ value: Date|number|string, id: import('mongoose').Types.ObjectId }|null} null when malformed */
+export function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!parsed || !mongoose.isValidObjectId(parsed.id)) return null;
+    let value;
+    if (typeof parsed.d === 'string') {
+      value = new Date(parsed.d);
+      if (Number.isNaN(value.getTime())) return null;
+    } else if (['number', 'string'].includes(typeof parsed.v)) {
+      value = parsed.v;
+    } else {
+      return null;
+    }
+    return { value, id: new mongoose.Types.ObjectId(parsed.id) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parses "field" (ascending) or "-field" (descending) against an allow-list.
+ * @returns {{ field: string, direction: 1|-1 }|null}
+ */
+export function parseSort(sort, allowedFields, fallback) {
+  const raw = sort || fallback;
+  const direction = raw.startsWith('-') ? -1 : 1;
+  const field = raw.replace(/^-/, '');
+  return allowedFields.includes(field) ? { field, direction } : null;
+}
+
+/** Mongo sort with `_id` as tie-breaker so the order is total. */
+export function keysetSort({ field, direction }) {
+  return { [field]: direction, _id: direction };
+}
+
+/** Filter for items after the cursor in the given sort order. */
+export function keysetFilter({ field, direction }, cursor) {
+  const op = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [{ [field]: { [op]: cursor.value } }, { [field]: cursor.value, _id: { [op]: cursor.id } }],
+  };
+}
@@ -0,0 +1,263 @@
+import { addDays, dayKey, diffDays, endOfMonth, startOfWeek, toLocalDay } from './dates.js';
+
+/**
+ * Recurring tasks. A recurring task has no `date`; it occurs on the days its
+ * `recurrenceRule` (an RFC 5545 RRULE such as "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH") matches,
+ * starting at `recurrenceStart` (DTSTART), minus the days in `recurrenceExceptions`
+ * (EXDATE). Occurrences are completed per day through TaskCompletion.
+ *
+ * Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL, BYDAY,
+ * BYMONTHDAY, BYMONTH and WKST. BYDAY ordinals ("-1FR" = last Friday) count within the
+ * month, for MONTHLY and YEARLY rules. All dates are day values; times are ignored.
+ */
+
+export const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+export const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Rules stored before RRULE support
+const LEGACY_RULES = {
+  daily: 'FREQ=DAILY',
+  weekly: 'FREQ=WEEKLY',
+  weekdays: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+};
+
+const BYDAY_RE = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+const UNTIL_RE = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/;
+
+function parseIntList(value, min, max, name) {
+  const list = value.split(',').map((v) => (/^[+-]?\d+$/.test(v) ? Number(v) : NaN));
+  const bad = list.find((n) => !Number.isInteger(n) || n === 0 || n < min || n > max);
+  if (bad !== undefined) return { error: `${name} values must be whole numbers from ${min} to ${max} (not 0)` };
+  return { list };
+}
+
+/**
+ * Parses an RRULE string ("RRULE:" prefix optional) or one of the legacy keywords
+ * (daily, weekly, weekdays).
+ * @returns {{ rule?: object, error?: string }}
+ */
+export function parseRRule(input) {
+  if (typeof input !== 'string' || !input.trim()) return { error: 'Recurrence rule must be a non-empty string' };
+  let text = input.trim();
+  if (LEGACY_RULES[text.toLowerCase()]) text = LEGACY_RULES[text.toLowerCase()];
+  text = text.replace(/^RRULE:/i, '');
+
+  const parts = new Map();
+  for (const part of text.split(';').filter(Boolean)) {
+    const [key, value, ...rest] = part.split('=');
+    if (!key || !value || rest.length) return { error: `Invalid RRULE part "${part}"` };
+    const name = key.trim().toUpperCase();
+    if (parts.has(name)) return { error: `${name} appears more than once` };
+    parts.set(name, value.trim().toUpperCase());
+  }
+
+  const rule = { freq: parts.get('FREQ'), interval: 1, count: null, until: null, byDay: [], byMonthDay: [], byMonth: [], wkst: null };
+  if (!FREQUENCIES.includes(rule.freq)) return { error: `FREQ must be one of ${FREQUENCIES.join(', ')}` };
+
+  for (const [name, value] of parts) {
+    switch (name) {
+      case 'FREQ':
+        break;
+      case 'INTERVAL':
+      case 'COUNT': {
+        const n = /^\d+$/.test(value) ? Number(value) : NaN;
+        if (!Number.isInteger(n) || n < 1) return { error: `${name} must be a positive whole number` };
+        rule[name.toLowerCase()] = n;
+        break;
+      }
+      case 'UNTIL': {
+        const m = UNTIL_RE.exec(value);
+        const until = m && new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+        if (!until || dayKey(until) !== `${m[1]}-${m[2]}-${m[3]}`) return { error: 'UNTIL must be a date such as 20261231' };
+        rule.until = until;
+        break;
+      }
+      case 'BYDAY': {
+        for (const item of value.split(',')) {
+          const m = BYDAY_RE.exec(item);
+          if (!m) return { error: `Invalid BYDAY value "${item}"` };
+          const n = m[1] ? Number(m[1]) : null;
+          if (n !== null) {
+            if (!['MONTHLY', 'YEARLY'].includes(rule.freq)) return { error: 'BYDAY ordinals need a MONTHLY or YEARLY rule' };
+            if (n === 0 || n < -5 || n > 5) return { error: 'BYDAY ordinals must be from -5 to 5 (not 0)' };
+          }
+          rule.byDay.push({ day: m[2], n });
+        }
+        break;
+      }
+      case 'BYMONTHDAY': {
+        const { list, error } = parseIntList(value, -31, 31, 'BYMONTHDAY');
+        if (error) return { error };
+        rule.byMonthDay = list;
+        break;
+      }
+      case 'BYMONTH': {
+        const { list, error } = parseIntList(value, 1, 12, 'BYMONTH');
+        if (error) return { error };
+        rule.byMonth = list;
+        break;
+      }
+      case 'WKST':
+        if (!WEEKDAYS.includes(value)) return { error: `WKST must be one of ${WEEKDAYS.join(', ')}` };
+        rule.wkst = value;
+        break;
+      default:
+        return { error: `Unsupported RRULE part ${name}` };
+    }
+  }
+  if (rule.count && rule.until) return { error: 'COUNT and UNTIL cannot be combined' };
+  return { rule };
+}
+
+/** Canonical RRULE string (without the "RRULE:" prefix) for a parsed rule. */
+export function serializeRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${dayKey(rule.until).replace(/-/g, '')}`);
+  if (rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byDay.length) parts.push(`BYDAY=${rule.byDay.map((d) => `${d.n ?? ''}${d.day}`).join(',')}`);
+  if (rule.wkst) parts.push(`WKST=${rule.wkst}`);
+  return parts.join(';');
+}
+
+/** express-validator custom validator for `recurrenceRule` bodies. */
+export function isValidRecurrenceRule(value) {
+  const { error } = parseRRule(value);
+  if (error) throw new Error(error);
+  return true;
+}
+
+function monthDayMatches(values, d) {
+  const date = d.getUTCDate();
+  const daysInMonth = endOfMonth(d).getUTCDate();
+  return values.some((v) => (v > 0 ? v === date : daysInMonth + v + 1 === date));
+}
+
+function byDayMatches(entries, d) {
+  const weekday = WEEKDAYS[d.getUTCDay()];
+  const date = d.getUTCDate();
+  const daysInMonth = endOfMonth(d).getUTCDate();
+  return entries.some(({ day, n }) => {
+    if (day !== weekday) return false;
+    if (n === null) return true;
+    return n > 0 ? Math.ceil(date / 7) === n : Math.ceil((daysInMonth - date + 1) / 7) === -n;
+  });
+}
+
+// Days of the month the rule picks when it has BYMONTHDAY/BYDAY, else the start's day of month
+function matchesWithinMonth(rule, start, d) {
+  if (!rule.byMonthDay.length && !rule.byDay.length) return d.getUTCDate() === start.getUTCDate();
+  if (rule.byMonthDay.length && !monthDayMatches(rule.byMonthDay, d)) return false;
+  return !rule.byDay.length || byDayMatches(rule.byDay, d);
+}
+
+/** Whether `d` fits the rule's pattern counted from `start`, ignoring COUNT, UNTIL and exceptions. */
+function matchesPattern(rule, start, d) {
+  const month = d.getUTCMonth() + 1;
+  if (rule.byMonth.length && !rule.byMonth.includes(month)) return false;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      if (diffDays(start, d) % rule.interval !== 0) return false;
+      if (rule.byMonthDay.length && !monthDayMatches(rule.byMonthDay, d)) return false;
+      return !rule.byDay.length || byDayMatches(rule.byDay, d);
+    case 'WEEKLY': {
+      const weekStart = WEEKDAYS.indexOf(rule.wkst ?? 'MO');
+      const weeks = diffDays(startOfWeek(start, weekStart), startOfWeek(d, weekStart)) / 7;
+      if (weeks % rule.interval !== 0) return false;
+      const days = rule.byDay.length ? rule.byDay : [{ day: WEEKDAYS[start.getUTCDay()], n: null }];
+      if (!byDayMatches(days, d)) return false;
+      return !rule.byMonthDay.length || monthDayMatches(rule.byMonthDay, d);
+    }
+    case 'MONTHLY': {
+      const months = (d.getUTCFullYear() - start.getUTCFullYear()) * 12 + (d.getUTCMonth() - start.getUTCMonth());
+      return months % rule.interval === 0 && matchesWithinMonth(rule, start, d);
+    }
+    case 'YEARLY': {
+      if ((d.getUTCFullYear() - start.getUTCFullYear()) % rule.interval !== 0) return false;
+      if (!rule.byMonth.length && d.getUTCMonth() !== start.getUTCMonth()) return false;
+      return matchesWithinMonth(rule, start, d);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * The recurrence of a stored task, or null when it has no (valid) rule. Tasks created
+ * before `recurrenceStart` existed start on the day they were created.
+ * @param {{ recurrenceRule?: string|null, recurrenceStart?: Date|null, recurrenceExceptions?: Date[], createdAt?: Date }} task
+ * @returns {{ rule: object, start: Date, exceptions: Set<string> }|null}
+ */
+export function taskRecurrence(task, timeZone) {
+  if (!task?.recurrenceRule) return null;
+  const { rule } = parseRRule(task.recurrenceRule);
+  if (!rule) return null;
+  return {
+    rule,
+    start: task.recurrenceStart ? new Date(task.recurrenceStart) : toLocalDay(task.createdAt ?? new Date(), timeZone),
+    exceptions: new Set((task.recurrenceExceptions || []).map(dayKey)),
+  };
+}
+
+/**
+ * Occurrences in [from, to], oldest first. Excluded days still count towards COUNT,
+ * as in RFC 5545.
+ * @param {{ rule: object, start: Date, exceptions: Set<string> }} recurrence
+ * @returns {Date[]} day values
+ */
+export function occurrencesBetween({ rule, start, exceptions }, from, to) {
+  const last = rule.until && rule.until < to ? rule.until : to;
+  const days = [];
+  let seen = 0;
+  // COUNT is counted from the start, so earlier occurrences have to be walked too
+  for (let d = rule.count ? start : from > start ? from : start; d <= last; d = addDays(d, 1)) {
+    if (!matchesPattern(rule, start, d)) continue;
+    seen += 1;
+    if (rule.count && seen > rule.count) break;
+    if (d >= from && !exceptions.has(dayKey(d))) days.push(d);
+  }
+  return days;
+}
+
+/** Whether the recurrence has an occurrence on `day`. */
+export function occursOn(recurrence, day) {
+  return occurrencesBetween(recurrence, day, day).length === 1;
+}
+
+// How far ahead to look for the next occurrence (covers every-four-years rules such as Feb 29)
+const NEXT_OCCURRENCE_LOOKAHEAD_DAYS = 4 * 366;
+
+/**
+ * Progress of a recurring task up to `today`: occurrences due so far, how many were
+ * completed, and the occurrence to work on now — the oldest one still open, else the next
+ * upcoming one (null once a finite series is done).
+ * @param {{ rule: object, start: Date, exceptions: Set<string> }} recurrence
+ * @param {Set<string>} completedKeys "YYYY-MM-DD" days with a TaskCompletion
+ * @returns {{ due: number, completed: number, current: Date|null }}
+ */
+export function recurrenceProgress(recurrence, completedKeys, today) {
+  const due = today >= recurrence.start ? occurrencesBetween(recurrence, recurrence.start, today) : [];
+  const open = due.filter((d) => !completedKeys.has(dayKey(d)));
+  const current =
+    open[0] ?? occurrencesBetween(recurrence, addDays(today, 1), addDays(today, NEXT_OCCURRENCE_LOOKAHEAD_DAYS))[0] ?? null;
+  return { due: due.length, completed: due.length - open.length, current };
+}
+
+/**
+ * Adds a recurring task to its project's task counts as a single task, done in proportion
+ * to the occurrences due so far that were completed (fully once the series is over). A
+ * long-missed daily task then weighs like any other task instead of swamping the project.
+ * @param {{ totalTasks: number, completedTasks: number }} counts
+ * @param {{ due: number, completed: number, current: Date|null }} progress from recurrenceProgress
+ * @returns {{ totalTasks: number, completedTasks: number }}
+ */
+export function addRecurringProgress(counts, { due, completed, current }) {
+  const share = current === null ? 1 : due ? completed / due : 0;
+  return {
+    totalTasks: counts.totalTasks + 1,
+    completedTasks: Math.round((counts.completedTasks + share) * 100) / 100,
+  };
+}
@@ -0,0 +1,286 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import TaskCompletion from '../models/TaskCompletion.js';
+import Habit from '../models/Habit.js';
+import HabitEntry from '../models/HabitEntry.js';
+import Streak from '../models/Streak.js';
+import PrayerEntry, { PRAYER_TYPES } from '../models/PrayerEntry.js';
+import BudgetCategory from '../models/BudgetCategory.js';
+import Transaction from '../models/Transaction.js';
+import Note from '../models/Note.js';
+import {
+  addDays,
+  dayKey,
+  dayRangeFilter,
+  diffDays,
+  eachDay,
+  endOfMonth,
+  localMidnight,
+  periodRange,
+  toLocalDay,
+  today,
+  userTimeZone,
+} from './dates.js';
+import { occursOn, taskRecurrence } from './recurrence.js';
+import { streakStats } from './streaks.js';
+
+/**
+ * The weekly/monthly review digest (buildReview) and its helpers, shared by routes/reviews.js
+ * and jobs/generateReviews.js. Rates are whole percentages, like the habit and prayer stats
+ * endpoints.
+ */
+
+export const REVIEW_PERIODS = ['week', 'month'];
+
+/** The last week/month that ended before the one containing `day`. */
+export function previousReviewRange(period, day, weekStart = 0) {
+  const { startDate } = periodRange(period, day, weekStart);
+  return periodRange(period, addDays(startDate, -1), weekStart);
+}
+
+/** Whole percentage of `done` out of `total`, or null when there is nothing to rate. */
+export function percentage(done, total) {
+  return total > 0 ? Math.round((done / total) * 100) : null;
+}
+
+/**
+ * Share of a monthly budget limit that falls within [start, end]: each day gets
+ * limit / days-in-its-month, so a whole month gets exactly the limit.
+ */
+export function proratedBudgetLimit(limit, start, end) {
+  if (limit == null) return null;
+  const total = eachDay(start, end).reduce((sum, d) => sum + limit / endOfMonth(d).getUTCDate(), 0);
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * A day's score: the mean of whichever completion rates apply to it (habits, prayers,
+ * tasks dated that day). Null when none do.
+ * @param {{ habits?: number|null, prayers?: number|null, tasks?: number|null }} rates
+ */
+export function dayScore(rates) {
+  const values = Object.values(rates).filter((v) => v !== null && v !== undefined);
+  return values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null;
+}
+
+/**
+ * Highest and lowest scoring days; ties go to the earlier day.
+ * @param {{ date: string, score: number|null }[]} days in date order
+ */
+export function bestAndWorstDays(days) {
+  let best = null;
+  let worst = null;
+  for (const day of days) {
+    if (day.score === null) continue;
+    if (!best || day.score > best.score) best = day;
+    if (!worst || day.score < worst.score) worst = day;
+  }
+  return { best, worst };
+}
+
+// How far back streaks are followed, as in GET /api/habits/stats/streak
+const STREAK_LOOKBACK_DAYS = 400;
+
+/**
+ * Summarizes one period for a user: tasks, habit rates and streaks, prayers, spending
+ * against budget limits, notes, and the best/worst days. Days of a current period that
+ * are still ahead are left out of every rate.
+ * @param {{ _id: unknown, settings?: object }} user
+ * @param {'week'|'month'} period
+ * @param {{ startDate: Date, endDate: Date }} range day values
+ */
+export async function buildReview(user, period, { startDate, endDate }, now = new Date()) {
+  const userId = new mongoose.Types.ObjectId(String(user._id));
+  const tz = userTimeZone(user);
+  const todayDate = today(tz, now);
+  const lastDay = endDate < todayDate ? endDate : todayDate;
+  const days = eachDay(startDate, lastDay);
+  const dayKeys = new Set(days.map(dayKey));
+  const range = dayRangeFilter(startDate, endDate);
+  // Timestamps (createdAt, completedAt…) are bounded by the local days' instants
+  const instants = { $gte: localMidnight(startDate, tz), $lt: localMidnight(addDays(endDate, 1), tz) };
+
+  const [
+    tasksCreated,
+    tasksCompleted,
+    legacyTasksCompleted,
+    datedTasks,
+    recurringTasks,
+    taskCompletions,
+    habits,
+    habitEntries,
+    milestones,
+    prayerEntries,
+    budgetCategories,
+    transactionTotals,
+    notesCreated,
+    notesUpdated,
+  ] = await Promise.all([
+    Task.countDocuments({ userId, createdAt: instants }),
+    Task.countDocuments({ userId, completedAt: instants }),
+    // Tasks completed before completedAt was recorded count on their own date
+    Task.countDocuments({ userId, completed: true, completedAt: null, date: range }),
+    Task.find({ userId, date: range, recurrenceRule: null }).select('date completed').lean(),
+    Task.find({ userId, recurrenceRule: { $ne: null } }).select('recurrenceRule recurrenceStart recurrenceExceptions createdAt').lean(),
+    TaskCompletion.find({ userId, date: range }).select('taskId date').lean(),
+    Habit.find({ userId, isActive: true }).sort({ order: 1 }).lean(),
+    HabitEntry.find({ userId, date: dayRangeFilter(addDays(startDate, -STREAK_LOOKBACK_DAYS), endDate), completed: true })
+      .select('habitId date')
+      .lean(),
+    Streak.find({ userId, achievedAt: instants }).sort({ milestone: 1 }).lean(),
+    PrayerEntry.find({ userId, date: range, prayed: true }).select('prayerType date').lean(),
+    BudgetCategory.find({ userId, type: 'expense' }).lean(),
+    Transaction.aggregate([
+      { $match: { userId, date: range } },
+      { $group: { _id: { categoryId: '$categoryId', type: '$type' }, total: { $sum: '$amount' } } },
+    ]),
+    Note.countDocuments({ userId, createdAt: instants }),
+    Note.countDocuments({ userId, updatedAt: instants, createdAt: { $lt: instants.$gte } }),
+  ]);
+
+  // ---- Tasks: one-off tasks on their date plus recurring occurrences ----
+  const completionKeys = new Set(taskCompletions.map((c) => `${c.taskId}_${dayKey(c.date)}`));
+  const recurrences = recurringTasks.map((t) => ({ task: t, recurrence: taskRecurrence(t, tz) })).filter((r) => r.recurrence);
+  const taskRates = new Map(
+    days.map((d) => {
+      const key = dayKey(d);
+      const oneOff = datedTasks.filter((t) => dayKey(t.date) === key);
+      const recurring = recurrences.filter((r) => occursOn(r.recurrence, d)).map((r) => r.task);
+      const done =
+        oneOff.filter((t) => t.completed).length + recurring.filter((t) => completionKeys.has(`${t._id}_${key}`)).length;
+      return [key, percentage(done, oneOff.length + recurring.length)];
+    })
+  );
+
+  // ---- Habits ----
+  const doneByHabit = new Map(habits.map((h) => [h._id.toString(), new Set()]));
+  const doneCountByDay = new Map();
+  habitEntries.forEach((e) => {
+    const done = doneByHabit.get(e.habitId.toString());
+    if (!done) return;
+    const key = dayKey(e.date);
+    done.add(key);
+    doneCountByDay.set(key, (doneCountByDay.get(key) || 0) + 1);
+  });
+  const dayBefore = addDays(startDate, -1);
+  const habitStats = habits.map((h) => {
+    const done = doneByHabit.get(h._id.toString());
+    const trackedFrom = toLocalDay(h.createdAt, tz);
+    const trackedDays = days.filter((d) => d >= trackedFrom).length;
+    const completed = [...done].filter((key) => dayKeys.has(key)).length;
+    const isDone = (key) => done.has(key);
+    const streakStart = streakStats(isDone, dayBefore, STREAK_LOOKBACK_DAYS).currentStreak;
+    const streakEnd = days.length ? streakStats(isDone, lastDay, STREAK_LOOKBACK_DAYS).currentStreak : streakStart;
+    return {
+      habitId: h._id,
+      name: h.name,
+      icon: h.icon,
+      completed,
+      days: trackedDays,
+      rate: percentage(completed, trackedDays),
+      streak: { start: streakStart, end: streakEnd, change: streakEnd - streakStart },
+    };
+  });
+  // Overall streak: days with at least 75% of active habits done, as in GET /api/habits/stats/streak
+  const isSuccessDay = (key) => habits.length > 0 && ((doneCountByDay.get(key) || 0) / habits.length) * 100 >= 75;
+  const overallStart = streakStats(isSuccessDay, dayBefore, STREAK_LOOKBACK_DAYS).currentStreak;
+  const overallEnd = days.length ? streakStats(isSuccessDay, lastDay, STREAK_LOOKBACK_DAYS).currentStreak : overallStart;
+  const habitsCompleted = habitStats.reduce((sum, h) => sum + h.completed, 0);
+  const habitDays = habitStats.reduce((sum, h) => sum + h.days, 0);
+  const habitRates = new Map(
+    days.map((d) => {
+      const tracked = habits.filter((h) => toLocalDay(h.createdAt, tz) <= d);
+      const done = tracked.filter((h) => doneByHabit.get(h._id.toString()).has(dayKey(d))).length;
+      return [dayKey(d), percentage(done, tracked.length)];
+    })
+  );
+
+  // ---- Prayers ----
+  const prayedByDay = new Map();
+  prayerEntries.forEach((e) => {
+    const key = dayKey(e.date);
+    if (!prayedByDay.has(key)) prayedByDay.set(key, new Set());
+    prayedByDay.get(key).add(e.prayerType);
+  });
+  const byPrayer = {};
+  PRAYER_TYPES.forEach((p) => {
+    const completed = prayerEntries.filter((e) => e.prayerType === p && dayKeys.has(dayKey(e.date))).length;
+    byPrayer[p] = { completed, rate: percentage(completed, days.length) };
+  });
+  const prayersCompleted = Object.values(byPrayer).reduce((sum, p) => sum + p.completed, 0);
+  // Users who do not track prayers would otherwise score 0% on every day
+  const tracksPrayers = prayerEntries.length > 0;
+
+  // ---- Budget ----
+  const totals = { income: 0, expense: 0 };
+  const spentByCategory = new Map();
+  transactionTotals.forEach(({ _id, total }) => {
+    totals[_id.type] += total;
+    if (_id.type === 'expense') spentByCategory.set(_id.categoryId.toString(), total);
+  });
+  const categories = budgetCategories
+    .filter((c) => c.isActive || spentByCategory.has(c._id.toString()))
+    .map((c) => {
+      const spent = spentByCategory.get(c._id.toString()) || 0;
+      const limit = proratedBudgetLimit(c.budgetLimit, startDate, endDate);
+      return {
+        categoryId: c._id,
+        name: c.name,
+        icon: c.icon,
+        color: c.color,
+        spent,
+        limit,
+        remaining: limit === null ? null : Math.round((limit - spent) * 100) / 100,
+        percentUsed: limit ? Math.round((spent / limit) * 100) : null,
+        overBudget: limit !== null && spent > limit,
+      };
+    })
+    .sort((a, b) => b.spent - a.spent);
+
+  // ---- Days ----
+  const daily = days.map((d) => {
+    const key = dayKey(d);
+    const rates = {
+      habits: habitRates.get(key),
+      prayers: tracksPrayers ? percentage(prayedByDay.get(key)?.size || 0, PRAYER_TYPES.length) : null,
+      tasks: taskRates.get(key),
+    };
+    return { date: key, score: dayScore(rates), ...rates };
+  });
+
+  return {
+    period,
+    from: dayKey(startDate),
+    to: dayKey(endDate),
+    complete: endDate < todayDate,
+    daysElapsed: days.length,
+    tasks: {
+      created: tasksCreated,
+      completed: tasksCompleted + legacyTasksCompleted + taskCompletions.length,
+    },
+    habits: {
+      completed: habitsCompleted,
+      possible: habitDays,
+      rate: percentage(habitsCompleted, habitDays),
+      streak: { start: overallStart, end: overallEnd, change: overallEnd - overallStart },
+      longestStreakInPeriod: days.length ? streakStats(isSuccessDay, lastDay, diffDays(startDate, lastDay) + 1).longestStreak : 0,
+      milestones,
+      habits: habitStats,
+    },
+    prayers: {
+      completed: prayersCompleted,
+      possible: days.length * PRAYER_TYPES.length,
+      rate: percentage(prayersCompleted, days.length * PRAYER_TYPES.length),
+      perfectDays: days.filter((d) => prayedByDay.get(dayKey(d))?.size === PRAYER_TYPES.length).length,
+      byPrayer,
+    },
+    budget: {
+      income: totals.income,
+      expense: totals.expense,
+      net: totals.income - totals.expense,
+      categories,
+    },
+    notes: { created: notesCreated, updated: notesUpdated },
+    days: { ...bestAndWorstDays(daily), daily },
+  };
+}
@@ -0,0 +1,32 @@
+/**
+ * Personal API tokens carry `<resource>:<read|write>` scopes; a write scope implies read.
+ * Each router declares its resource with `requireScope` (middleware/auth.js).
+ */
+export const SCOPE_RESOURCES = [
+  'activities',
+  'projects',
+  'tasks',
+  'habits',
+  'prayers',
+  'budget',
+  'notes',
+  'references',
+];
+
+export const API_TOKEN_SCOPES = SCOPE_RESOURCES.flatMap((r) => [`${r}:read`, `${r}:write`]);
+
+/** @returns {'read'|'write'} */
+export function accessForMethod(method) {
+  return ['GET', 'HEAD', 'OPTIONS'].includes(String(method).toUpperCase()) ? 'read' : 'write';
+}
+
+/**
+ * @param {string[]} scopes granted to the token
+ * @param {string} resource
+ * @param {'read'|'write'} access
+ */
+export function hasScope(scopes, resource, access) {
+  if (!Array.isArray(scopes)) return false;
+  if (scopes.includes(`${resource}:${access}`)) return true;
+  return access === 'read' && scopes.includes(`${resource}:write`);
+}
@@ -0,0 +1,50 @@
+import { isValidTimeZone } from './dates.js';
+import { TASK_ROLLOVER_MODES } from './taskRollover.js';
+
+export function isValidCurrency(code) {
+  if (typeof code !== 'string' || !/^[A-Za-z]{3}$/.test(code)) return false;
+  if (typeof Intl.supportedValuesOf !== 'function') return true;
+  return Intl.supportedValuesOf('currency').includes(code.toUpperCase());
+}
+
+export function isValidLocale(locale) {
+  if (typeof locale !== 'string' || !locale) return false;
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch {
+    return false;
+  }
+}
+
+export { isValidTimeZone };
+
+/** Shape returned by /api/users/me/settings (defaults filled in for older accounts). */
+export function serializeSettings(settings) {
+  return {
+    timezone: settings?.timezone || 'UTC',
+    weekStart: settings?.weekStart ?? 0,
+    currency: settings?.currency || 'USD',
+    locale: settings?.locale || 'en-US',
+    weeklyReview: settings?.weeklyReview ?? false,
+    monthlyReview: settings?.monthlyReview ?? false,
+    taskRollover: settings?.taskRollover || 'off',
+  };
+}
+
+/**
+ * Applies the valid fields of untrusted `updates` (e.g. from an import archive) over
+ * `current`; invalid or missing fields keep their current value.
+ */
+export function mergeSettings(current, updates = {}) {
+  const next = serializeSettings(current);
+  if (isValidTimeZone(updates.timezone)) next.timezone = updates.timezone;
+  if (Number.isInteger(updates.weekStart) && updates.weekStart >= 0 && updates.weekStart <= 6) {
+    next.weekStart = updates.weekStart;
+  }
+  if (isValidCurrency(updates.currency)) next.currency = updates.currency.toUpperCase();
+  if (isValidLocale(updates.locale)) next.locale = Intl.getCanonicalLocales(updates.locale)[0];
+  if (typeof updates.weeklyReview === 'boolean') next.weeklyReview = updates.weeklyReview;
+  if (typeof updates.monthlyReview === 'boolean') next.monthlyReview = updates.monthlyReview;
+  if (TASK_ROLLOVER_MODES.includes(updates.taskRollover)) next.taskRollover = updates.taskRollover;
+  return next;
+}
@@ -0,0 +1,54 @@
+import { addDays, dayKey } from './dates.js';
+
+/**
+ * Streaks over day values. A streak is a run of consecutive successful days; what counts
+ * as success is up to the caller (a habit done, 75% of habits done, all five prayers…).
+ */
+
+/**
+ * Walks back `days` days from `end` (inclusive).
+ * @param {(key: string) => boolean} isSuccess called with "YYYY-MM-DD" keys
+ * @param {Date} end a day value
+ * @returns {{ currentStreak: number, longestStreak: number }} `currentStreak` is the run ending on `end`
+ */
+export function streakStats(isSuccess, end, days) {
+  let currentStreak = 0;
+  let longestStreak = 0;
+  let tempStreak = 0;
+  let streakBroken = false;
+
+  for (let i = 0, checkDate = end; i < days; i++, checkDate = addDays(checkDate, -1)) {
+    if (isSuccess(dayKey(checkDate))) {
+      tempStreak++;
+      if (!streakBroken) currentStreak++;
+    } else {
+      streakBroken = true;
+      longestStreak = Math.max(longestStreak, tempStreak);
+      tempStreak = 0;
+    }
+  }
+  longestStreak = Math.max(longestStreak, tempStreak);
+
+  return { currentStreak, longestStreak };
+}
+
+/**
+ * Longest run of successful days within [start, end].
+ * @param {(key: string) => boolean} isSuccess
+ * @returns {{ days: number, from: string|null, to: string|null }} "YYYY-MM-DD" bounds of the first longest run
+ */
+export function longestRun(isSuccess, start, end) {
+  let best = { days: 0, from: null, to: null };
+  let runStart = null;
+  let runDays = 0;
+  for (let d = start; d <= end; d = addDays(d, 1)) {
+    if (!isSuccess(dayKey(d))) {
+      runDays = 0;
+      continue;
+    }
+    if (runDays === 0) runStart = d;
+    runDays++;
+    if (runDays > best.days) best = { days: runDays, from: dayKey(runStart), to: dayKey(d) };
+  }
+  return best;
+}
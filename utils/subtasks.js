@@ -0,0 +1,29 @@
+/**
+ * Task checklists: a task's `subtasks` are embedded items with their own completion and
+ * order. A task with a checklist is complete exactly when every item is. Recurring tasks
+ * have none, since one checklist could not track each occurrence.
+ */
+
+export const MAX_SUBTASKS = 100;
+
+/** @param {{ completed?: boolean }[]} subtasks */
+export function subtaskProgress(subtasks = []) {
+  const completed = subtasks.filter((s) => s.completed).length;
+  return { total: subtasks.length, completed, allDone: subtasks.length > 0 && completed === subtasks.length };
+}
+
+/**
+ * New `order` per subtask id for a full reorder request.
+ * @param {{ _id: unknown }[]} subtasks
+ * @param {string[]} ids every subtask id, in the new order
+ * @returns {{ orders?: Map<string, number>, error?: string }}
+ */
+export function subtaskOrders(subtasks, ids) {
+  const current = new Set(subtasks.map((s) => s._id.toString()));
+  const requested = new Set(ids.map(String));
+  if (requested.size !== ids.length) return { error: 'subtaskIds must not repeat' };
+  if (requested.size !== current.size || [...requested].some((id) => !current.has(id))) {
+    return { error: 'subtaskIds must list every subtask of the task' };
+  }
+  return { orders: new Map(ids.map((id, index) => [String(id), index])) };
+}
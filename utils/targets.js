@@ -0,0 +1,119 @@
+import { addDays, dayKey, eachDay, startOfWeek } from './dates.js';
+
+/**
+ * Per-category targets ("at least 2000 ml water a day", "at most 10 h entertainment a week").
+ * Target values are in the category's unit (minutes for durations) and compare against
+ * the sum of the period's numeric values.
+ */
+
+export const TARGET_PERIODS = ['day', 'week'];
+export const TARGET_COMPARISONS = ['at_least', 'at_most'];
+// Value types whose values can be summed against a target
+export const TARGETABLE_VALUE_TYPES = ['number', 'scale', 'boolean', 'duration'];
+
+function fieldError(path, msg, value) {
+  return { type: 'field', path, msg, value, location: 'body' };
+}
+
+/**
+ * @param {unknown} targets
+ * @param {string} valueType the category's value type
+ * @returns {object[]} field-level errors
+ */
+export function validateTargets(targets, valueType) {
+  if (!Array.isArray(targets)) return [fieldError('targets', 'targets must be an array', targets)];
+  if (targets.length && !TARGETABLE_VALUE_TYPES.includes(valueType)) {
+    return [fieldError('targets', `${valueType} categories cannot have targets`, targets)];
+  }
+  const errors = [];
+  const periods = new Set();
+  targets.forEach((t, i) => {
+    if (!TARGET_PERIODS.includes(t?.period)) {
+      errors.push(fieldError(`targets[${i}].period`, `period must be one of ${TARGET_PERIODS.join(', ')}`, t?.period));
+    } else if (periods.has(t.period)) {
+      errors.push(fieldError(`targets[${i}].period`, `Only one ${t.period} target per category`, t.period));
+    }
+    periods.add(t?.period);
+    if (!TARGET_COMPARISONS.includes(t?.comparison)) {
+      errors.push(
+        fieldError(`targets[${i}].comparison`, `comparison must be one of ${TARGET_COMPARISONS.join(', ')}`, t?.comparison)
+      );
+    }
+    if (typeof t?.value !== 'number' || !Number.isFinite(t.value) || t.value < 0) {
+      errors.push(fieldError(`targets[${i}].value`, 'value must be a non-negative number', t?.value));
+    }
+  });
+  return errors;
+}
+
+function periodBounds(day, period, weekStart) {
+  if (period === 'week') {
+    const start = startOfWeek(day, weekStart);
+    return { start, end: addDays(start, 6) };
+  }
+  return { start: day, end: day };
+}
+
+/**
+ * Progress towards one target over [from, to].
+ *
+ * Days without an entry count as 0 for "at least" targets (nothing logged, nothing done)
+ * but are left out of "at most" targets, which cannot be judged without a log. Periods
+ * that have not ended before `today` are still in progress and do not count towards
+ * the hit rate.
+ *
+ * @param {{ period: string, comparison: string, value: number }} target
+ * @param {Map<string, number>} dailyTotals "YYYY-MM-DD" -> sum of the day's numeric values
+ * @param {{ from: Date, to: Date, today: Date, weekStart?: number }} opts
+ */
+export function evaluateTarget(target, dailyTotals, { from, to, today, weekStart = 0 }) {
+  const periods = [];
+  let current = null;
+  for (const day of eachDay(from, to)) {
+    const { start, end } = periodBounds(day, target.period, weekStart);
+    if (!current || current.start.getTime() !== start.getTime()) {
+      current = { start, end };
+      periods.push(current);
+    }
+  }
+
+  let hits = 0;
+  let evaluated = 0;
+  const results = periods.map(({ start, end }) => {
+    // Weekly totals always cover the whole week, even where it extends past the range
+    const keys = eachDay(start, end).map(dayKey);
+    const logged = keys.filter((k) => dailyTotals.has(k));
+    const actual = logged.reduce((sum, k) => sum + dailyTotals.get(k), 0);
+    const inProgress = end >= today;
+    let met = null;
+    if (target.comparison === 'at_least') {
+      met = actual >= target.value ? true : inProgress ? null : false;
+    } else if (logged.length > 0 && !inProgress) {
+      met = actual <= target.value;
+    }
+    if (met !== null && !inProgress) {
+      evaluated += 1;
+      if (met) hits += 1;
+    }
+    return {
+      period: dayKey(start),
+      from: dayKey(start),
+      to: dayKey(end),
+      actual: Math.round(actual * 1000) / 1000,
+      target: target.value,
+      progress: target.value > 0 ? Math.round((actual / target.value) * 1000) / 1000 : null,
+      met,
+      inProgress,
+    };
+  });
+
+  return {
+    period: target.period,
+    comparison: target.comparison,
+    value: target.value,
+    hits,
+    evaluated,
+    hitRate: evaluated ? Math.round((hits / evaluated) * 1000) / 1000 : null,
+    periods: results,
+  };
+}
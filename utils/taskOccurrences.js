@@ -0,0 +1,107 @@
+import Task from '../models/Task.js';
+import TaskCompletion from '../models/TaskCompletion.js';
+import { addRecurringProgress, occursOn, recurrenceProgress, taskRecurrence } from './recurrence.js';
+import { addDays, dayKey, dayRangeFilter, today } from './dates.js';
+
+/**
+ * A day's task list: one-off tasks dated `day` plus the recurring tasks occurring on it,
+ * project ones included, with `completed`/`completedForToday` taken from that day's
+ * TaskCompletion.
+ * @param {Date} day a day value
+ * @param {string} timeZone the user's, for recurring tasks created before `recurrenceStart`
+ */
+export async function findTasksForDay(userId, day, timeZone) {
+  const oneOffTasks = await Task.find({
+    userId,
+    date: dayRangeFilter(day, day),
+    $or: [{ recurrenceRule: null }, { recurrenceRule: { $exists: false } }],
+  })
+    .sort({ order: 1, createdAt: 1 })
+    .lean();
+  const recurringTasks = await Task.find({ userId, recurrenceRule: { $exists: true, $ne: null } })
+    .sort({ order: 1, createdAt: 1 })
+    .lean();
+  const matchingRecurring = recurringTasks.filter((t) => {
+    const recurrence = taskRecurrence(t, timeZone);
+    return recurrence && occursOn(recurrence, day);
+  });
+  const completions = await TaskCompletion.find({
+    userId,
+    taskId: { $in: matchingRecurring.map((t) => t._id) },
+    date: dayRangeFilter(day, day),
+  }).lean();
+  const completedSet = new Set(completions.map((c) => c.taskId.toString()));
+  const recurringWithCompleted = matchingRecurring.map((t) => ({
+    ...t,
+    dueDate: addDays(day, t.dueOffsetDays || 0),
+    completed: completedSet.has(t._id.toString()),
+    completedForToday: completedSet.has(t._id.toString()),
+  }));
+  return [...oneOffTasks, ...recurringWithCompleted].sort(
+    (a, b) => (a.order || 0) - (b.order || 0) || new Date(a.createdAt) - new Date(b.createdAt)
+  );
+}
+
+async function completionKeysByTask(userId, tasks) {
+  const completions = await TaskCompletion.find({ userId, taskId: { $in: tasks.map((t) => t._id) } })
+    .select('taskId date')
+    .lean();
+  const keys = new Map(tasks.map((t) => [t._id.toString(), new Set()]));
+  completions.forEach((c) => keys.get(c.taskId.toString())?.add(dayKey(c.date)));
+  return keys;
+}
+
+/**
+ * Adds per-occurrence state to the recurring tasks in a (project) task list: `occurrence`
+ * is the oldest open occurrence, else the next one, with its due date; `completed` is true
+ * once a finite series is done. One-off tasks are returned unchanged.
+ * @param {object[]} tasks lean tasks of one user
+ */
+export async function withCurrentOccurrence(tasks, timeZone) {
+  const recurring = tasks.filter((t) => t.recurrenceRule);
+  if (recurring.length === 0) return tasks;
+  const keys = await completionKeysByTask(recurring[0].userId, recurring);
+  const todayDate = today(timeZone);
+  return tasks.map((t) => {
+    const recurrence = taskRecurrence(t, timeZone);
+    if (!recurrence) return t;
+    const { due, completed, current } = recurrenceProgress(recurrence, keys.get(t._id.toString()), todayDate);
+    return {
+      ...t,
+      completed: current === null,
+      occurrence: current && { date: current, dueDate: addDays(current, t.dueOffsetDays || 0) },
+      occurrencesDue: due,
+      occurrencesCompleted: completed,
+    };
+  });
+}
+
+/**
+ * Task counts per project for progress bars. A recurring task counts as one task, partly
+ * completed by the share of its due occurrences with a TaskCompletion (addRecurringProgress).
+ * @returns {Promise<Record<string, { totalTasks: number, completedTasks: number }>>} by project id
+ */
+export async function projectProgress(userId, timeZone) {
+  const [stats, recurring] = await Promise.all([
+    Task.aggregate([
+      { $match: { userId, projectId: { $ne: null }, recurrenceRule: null } },
+      { $group: { _id: '$projectId', total: { $sum: 1 }, completed: { $sum: { $cond: ['$completed', 1, 0] } } } },
+    ]),
+    Task.find({ userId, projectId: { $ne: null }, recurrenceRule: { $ne: null } }).lean(),
+  ]);
+  const progress = Object.fromEntries(
+    stats.map((s) => [s._id.toString(), { totalTasks: s.total, completedTasks: s.completed }])
+  );
+  const keys = await completionKeysByTask(userId, recurring);
+  const todayDate = today(timeZone);
+  for (const t of recurring) {
+    const recurrence = taskRecurrence(t, timeZone);
+    if (!recurrence) continue;
+    const projectId = t.projectId.toString();
+    progress[projectId] = addRecurringProgress(
+      progress[projectId] ?? { totalTasks: 0, completedTasks: 0 },
+      recurrenceProgress(recurrence, keys.get(t._id.toString()), todayDate)
+    );
+  }
+  return progress;
+}
@@ -0,0 +1,41 @@
+import { addDays } from './dates.js';
+
+/**
+ * Rollover of unfinished daily tasks (settings.taskRollover): "move" re-dates open one-off
+ * tasks to the user's current day, "copy" leaves them in place and adds a copy for today.
+ * Either way the task on today's list has its `rolledOverCount` raised by one.
+ */
+
+export const TASK_ROLLOVER_MODES = ['off', 'move', 'copy'];
+
+// Days not yet rolled over are caught up for at most this long (e.g. after rollover was off)
+export const ROLLOVER_LOOKBACK_DAYS = 7;
+
+/**
+ * Days whose open tasks roll over to `day`: from the day of the last rollover (its tasks were
+ * that day's list) through yesterday; just yesterday the first time.
+ * @param {Date|null|undefined} lastRolloverDate day value of the last rollover
+ * @param {Date} day the user's current day value
+ * @returns {{ from: Date, to: Date }|null} null when `day` was already rolled over
+ */
+export function rolloverWindow(lastRolloverDate, day) {
+  if (lastRolloverDate && lastRolloverDate >= day) return null;
+  const to = addDays(day, -1);
+  const earliest = addDays(day, -ROLLOVER_LOOKBACK_DAYS);
+  const from = lastRolloverDate ?? to;
+  return { from: from > earliest ? from : earliest, to };
+}
+
+/**
+ * Fields of the copy a "copy" rollover adds for `day`; subtasks keep their state.
+ * @param {object} task lean task
+ */
+export function rolledOverCopy(task, day) {
+  const { _id, __v, createdAt, updatedAt, completedAt, subtasks = [], ...fields } = task;
+  return {
+    ...fields,
+    date: day,
+    rolledOverCount: (task.rolledOverCount || 0) + 1,
+    subtasks: subtasks.map(({ _id: subtaskId, ...s }) => s),
+  };
+}
@@ -0,0 +1,64 @@
+import { addDays, dayKey } from './dates.js';
+
+/**
+ * Smart task lists across every project and day. They only hold open tasks; a one-off task
+ * without a due date is due on its day, and a recurring task takes the due date of its
+ * current occurrence (see withCurrentOccurrence in utils/taskOccurrences.js).
+ *
+ * - overdue: due before today
+ * - today: due today
+ * - upcoming: due in the next UPCOMING_DAYS days, after today
+ * - someday: no due date, no day and no recurrence
+ * - highPriority: high priority, whenever due
+ */
+
+export const TASK_VIEWS = ['overdue', 'today', 'upcoming', 'someday', 'highPriority'];
+export const UPCOMING_DAYS = 7;
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+/** Day an open task (or its current occurrence) is due, falling back to its day, or null. */
+export function effectiveDueDate(task) {
+  if (task.recurrenceRule) return task.occurrence?.dueDate ?? null;
+  return task.dueDate ?? task.date ?? null;
+}
+
+/** Whether an open task belongs in `view` on `todayDate` (a day value). */
+export function matchesTaskView(view, task, todayDate) {
+  const due = effectiveDueDate(task);
+  // Compared by key so due dates stored as instants fall on their UTC day
+  const dueKey = due ? dayKey(due) : null;
+  const todayKey = dayKey(todayDate);
+  switch (view) {
+    case 'overdue':
+      return dueKey !== null && dueKey < todayKey;
+    case 'today':
+      return dueKey === todayKey;
+    case 'upcoming':
+      return dueKey !== null && dueKey > todayKey && dueKey <= dayKey(addDays(todayDate, UPCOMING_DAYS));
+    case 'someday':
+      return dueKey === null && !task.recurrenceRule;
+    case 'highPriority':
+      return task.priority === 'high';
+    default:
+      return false;
+  }
+}
+
+/** Soonest due first (undated last), then higher priority, then list order. */
+export function compareViewTasks(a, b) {
+  const dueA = effectiveDueDate(a);
+  const dueB = effectiveDueDate(b);
+  if (dueA && dueB && dayKey(dueA) !== dayKey(dueB)) return dayKey(dueA) < dayKey(dueB) ? -1 : 1;
+  if (!dueA !== !dueB) return dueA ? -1 : 1;
+  return (
+    (PRIORITY_RANK[a.priority] ?? 1) - (PRIORITY_RANK[b.priority] ?? 1) ||
+    (a.order || 0) - (b.order || 0) ||
+    new Date(a.createdAt) - new Date(b.createdAt)
+  );
+}
+
+/** Number of open tasks in each view, for sidebar badges. */
+export function taskViewCounts(tasks, todayDate) {
+  return Object.fromEntries(TASK_VIEWS.map((view) => [view, tasks.filter((t) => matchesTaskView(view, t, todayDate)).length]));
+}
@@ -0,0 +1,115 @@
+import crypto from 'node:crypto';
+
+/** RFC 6238 TOTP (HMAC-SHA1, 6 digits, 30 s) — the parameters every authenticator app supports. */
+export const TOTP_PERIOD_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/** RFC 4648 base32 without padding. */
+export function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+/** Lenient decode: ignores case, spaces and padding; throws on other characters. */
+export function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/** 160-bit secret, base32-encoded for the otpauth URI. */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * RFC 4226 HOTP value for a counter.
+ * @param {Buffer} key
+ * @param {number} counter
+ */
+export function hotp(key, counter, digits = TOTP_DIGITS) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+export function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/** Current code for a base32 secret. */
+export function generateTotp(secret, time = Date.now()) {
+  return hotp(base32Decode(secret), timeStep(time));
+}
+
+/**
+ * Check a code against the current step ± `window` steps (clock drift).
+ * Steps at or before `afterStep` are rejected so a code cannot be replayed.
+ * @returns {number|null} the matching time step, or null
+ */
+export function verifyTotp(secret, code, { time = Date.now(), window = 1, afterStep = -1 } = {}) {
+  const normalized = String(code ?? '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+  const key = base32Decode(secret);
+  const current = timeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+}
+
+/** Key URI understood by Google Authenticator, 1Password, Authy, etc. */
+export function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/** Strip formatting so "ABCD-EFGH", "abcd efgh" and "abcdefgh" compare equal. */
+export function normalizeRecoveryCode(code) {
+  return String(code ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/** One-time recovery codes shown once to the user, formatted `xxxxx-xxxxx`. */
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
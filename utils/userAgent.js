@@ -0,0 +1,30 @@
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//],
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * Short device label for the sessions list, e.g. "Chrome on Windows".
+ * Not meant for feature detection — only for humans to recognise a session.
+ * @param {string|undefined} ua
+ */
+export function describeUserAgent(ua) {
+  if (!ua || typeof ua !== 'string') return 'Unknown device';
+  const browser = BROWSERS.find(([, re]) => re.test(ua))?.[0];
+  const platform = PLATFORMS.find(([, re]) => re.test(ua))?.[0];
+  if (browser && platform) return `${browser} on ${platform}`;
+  if (browser || platform) return browser || platform;
+  // Non-browser clients (curl/8.4.0, okhttp/4.12) — keep the product token
+  return ua.split(/[\s/]/)[0].slice(0, 40) || 'Unknown device';
+}
@@ -0,0 +1,63 @@
+import { toLocalDay } from './dates.js';
+
+/**
+ * Helpers for the year-in-review report (GET /api/reports/year/:year).
+ */
+
+// A report of the current year is recomputed once it is older than this
+export const REPORT_CACHE_TTL_MS = 60 * 60 * 1000;
+// Past years change rarely (late edits, imports), so their reports are kept longer
+export const PAST_YEAR_REPORT_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a cached report can be served: for an hour while the year is running, for a day
+ * once it was computed after the year ended. Imports drop the cache (routes/archive.js).
+ */
+export function isYearReportFresh(computedAt, year, timeZone, now = new Date()) {
+  if (!computedAt) return false;
+  const yearEnded = toLocalDay(computedAt, timeZone).getUTCFullYear() > year;
+  const ttlMs = yearEnded ? PAST_YEAR_REPORT_CACHE_TTL_MS : REPORT_CACHE_TTL_MS;
+  return now.getTime() - new Date(computedAt).getTime() < ttlMs;
+}
+
+/** "YYYY-01" … "YYYY-12" */
+export function yearMonths(year) {
+  return Array.from({ length: 12 }, (_, i) => `${year}-${String(i + 1).padStart(2, '0')}`);
+}
+
+/**
+ * Months ranked by total logged items, busiest first; empty months are left out.
+ * @param {{ month: string, total: number }[]} months
+ */
+export function busiestMonths(months, limit = 3) {
+  return months
+    .filter((m) => m.total > 0)
+    .sort((a, b) => b.total - a.total || a.month.localeCompare(b.month))
+    .slice(0, limit);
+}
+
+/**
+ * Most frequent values, case-insensitively ("Work" and "work" are one tag); each keeps
+ * its most common spelling.
+ * @param {string[]} values
+ * @returns {{ value: string, count: number }[]}
+ */
+export function topValues(values, limit = 10) {
+  const groups = new Map();
+  for (const raw of values) {
+    const value = String(raw ?? '').trim();
+    if (!value) continue;
+    const key = value.toLowerCase();
+    const group = groups.get(key) || { count: 0, spellings: new Map() };
+    group.count += 1;
+    group.spellings.set(value, (group.spellings.get(value) || 0) + 1);
+    groups.set(key, group);
+  }
+  return [...groups.values()]
+    .map(({ count, spellings }) => ({
+      value: [...spellings].sort((a, b) => b[1] - a[1])[0][0],
+      count,
+    }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    .slice(0, limit);
+}